@@ -0,0 +1,186 @@
+// Benchmarks of Tagged Interval Tree on long documents
+//
+// Builds a document of about --size characters (1 MB by default) in lines of 20 to 100 characters, with random block
+// types and tens of thousands of tag runs, then times what an editor does with it at random positions:
+// - every keystroke: typing and deleting through EditHistory, and the elements of the changed line, which is all
+//   the editor renders again (DOMRenderer with options.changed)
+// - commands: toggleTag, setBlockType, a keystroke starting a new undo step, and undo
+// - autosave once typing pauses: finding unsaved changes, and writing a draft of the document
+// - queries: getTagsAt and getTagCoverage
+// - the whole document: building it with addTag, getSegments, rendering it as HTML and toDocument
+// - reading Markdown of the same size with emphasis delimiters that never match
+// Every benchmark has a budget for its median time in milliseconds; the script fails when one is over its budget.
+//
+// Usage: node benchmarks.js [--seed N] [--size N] [--runs N]
+
+const { TaggedIntervalTree, BlockList, EditHistory, DocumentStore, WebStorageBackend, Autosave } = require('./taggedIntervalTree.js');
+
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod',
+  'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua'];
+const TAGS = [['b'], ['i'], ['u'], ['s'], ['code'], ['a', { href: 'https://example.com' }], ['span', { color: 'red' }]];
+const BLOCK_TYPES = ['p', 'p', 'p', 'p', 'p', 'h1', 'h2', 'h3', 'ul', 'ul', 'ol', 'blockquote'];
+
+// Small seeded random generator (mulberry32), so runs can be compared with --seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[integer(0, list.length - 1)];
+  return { next, integer, pick };
+}
+
+function randomLine(random) {
+  const words = [];
+  let length = -1;
+  const target = random.integer(20, 100);
+  while (length < target) {
+    const word = random.pick(WORDS);
+    words.push(word);
+    length += word.length + 1;
+  }
+  return words.join(' ');
+}
+
+// Text of about size characters, and the tag runs to add to it: [{ tag, attributes, interval }]
+function randomDocument(random, size) {
+  const lines = [];
+  const runs = [];
+  let length = 0;
+  while (length < size) {
+    const line = randomLine(random);
+    // Two or three runs in each line, some of them nested in others
+    const count = random.integer(2, 3);
+    for (let i = 0; i < count; i++) {
+      const start = random.integer(0, line.length - 1);
+      const end = random.integer(start + 1, Math.min(line.length, start + 30));
+      const [tag, attributes] = random.pick(TAGS);
+      runs.push({ tag, attributes: attributes || null, interval: [length + start, length + end] });
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return { text: lines.join('\n'), runs };
+}
+
+function median(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Time run(i) runs times, after setup(i) when given, which is not timed
+function measure(runs, run, setup = null) {
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const context = setup ? setup(i) : null;
+    const start = performance.now();
+    run(context, i);
+    times.push(performance.now() - start);
+  }
+  return times;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? Number(args[index + 1]) : fallback;
+  };
+  const seed = option('seed', Date.now() % 100000);
+  const size = option('size', 1000000);
+  const runs = option('runs', 50);
+  const random = createRandom(seed);
+
+  console.log(`Benchmarks with seed ${seed}, ${size} characters, ${runs} runs`);
+  const { text, runs: tagRuns } = randomDocument(random, size);
+  const tree = new TaggedIntervalTree(0, text.length);
+  tree.blocks = new BlockList(text);
+  const history = new EditHistory(tree, text);
+
+  const results = [];
+  const benchmark = (name, budget, times) => {
+    results.push({ name, budget, median: median(times), max: Math.max(...times) });
+  };
+
+  // The whole document
+  benchmark('build with addTag', 5000, measure(1, () => {
+    for (const { tag, attributes, interval } of tagRuns) {
+      tree.addTag(tag, interval, attributes);
+    }
+    tree.blocks.blocks.forEach((block, index) => {
+      tree.setBlockType(BLOCK_TYPES[index % BLOCK_TYPES.length], [block.start, block.end]);
+    });
+  }));
+  const segments = tree.getSegments();
+  console.log(`${tree.blocks.blocks.length} lines, ${tree.root.children.length} top-level runs, ${segments.length} segments`);
+
+  const wholeRuns = Math.max(1, Math.min(runs, 5));
+  benchmark('getSegments', 200, measure(wholeRuns, () => tree.getSegments()));
+  benchmark('render HTML', 1000, measure(wholeRuns, () => tree.render(history.text, 'html', { minimal: true })));
+  benchmark('toDocument', 500, measure(wholeRuns, () => tree.toDocument(history.text)));
+  const unmatched = '_a '.repeat(Math.floor(size / 6)) + 'a* '.repeat(Math.floor(size / 6));
+  benchmark('unmatched Markdown', 2000, measure(1, () => TaggedIntervalTree.fromMarkdown(unmatched)));
+
+  const position = () => random.integer(0, history.text.length);
+  const range = () => {
+    const start = random.integer(0, history.text.length - 1);
+    return [start, Math.min(history.text.length, start + random.integer(1, 200))];
+  };
+
+  // Queries
+  benchmark('getTagsAt', 1, measure(runs, (at) => tree.getTagsAt(at), position));
+  benchmark('getTagCoverage', 1, measure(runs, (interval) => tree.getTagCoverage('b', interval), range));
+
+  // Every keystroke: typing joins the last undo step
+  history.seal();
+  history.insertText(position(), 'x');
+  benchmark('type a character', 5, measure(runs, (at) => history.insertText(at, 'x'), position));
+  benchmark('delete a character', 5, measure(runs, (at) => history.deleteRange(at, at + 1),
+    () => random.integer(0, history.text.length - 1)));
+  benchmark('type a line break', 5, measure(runs, (at) => history.insertText(at, '\n'), position));
+  benchmark('render changed line', 1, measure(runs, (block) => tree.getElements({ minimal: true, interval: [block.start, block.end] }),
+    () => tree.blocks.blockAt(position())));
+
+  // Commands
+  benchmark('type after a pause', 50, measure(runs, (at) => history.insertText(at, 'x'), () => {
+    history.seal();
+    return position();
+  }));
+  benchmark('toggleTag', 50, measure(runs, (interval) => history.toggleTag('b', interval), range));
+  benchmark('setBlockType', 50, measure(runs, (interval) => history.setBlockType('h2', interval), range));
+  benchmark('undo', 100, measure(Math.min(runs, history.undoStack.length), () => history.undo()));
+
+  // Autosave, with drafts kept in memory instead of localStorage
+  const items = new Map();
+  const drafts = { getItem: key => items.get(key), setItem: (key, value) => items.set(key, value), removeItem: key => items.delete(key) };
+  const store = new DocumentStore(new WebStorageBackend(drafts, 'benchmark:'));
+  const autosave = new Autosave(store, () => ({ id: 'benchmark', name: 'Benchmark', text: history.text, tree }), { drafts, delay: 60000 });
+  autosave.markSaved();
+  benchmark('find unsaved changes', 1, measure(runs, () => autosave.isDirty(), () => history.insertText(position(), 'x')));
+  benchmark('write a draft', 500, measure(wholeRuns, () => autosave.changed(), () => history.insertText(position(), 'x')));
+  autosave.markSaved();
+
+  const problems = tree.validate();
+  if (problems.length > 0) {
+    console.log(`Invalid tree after the benchmarks: ${TaggedIntervalTree.formatViolation(problems[0])}`);
+    process.exit(1);
+  }
+
+  const over = results.filter(result => result.median > result.budget);
+  for (const { name, budget, median, max } of results) {
+    const mark = median > budget ? '  OVER BUDGET' : '';
+    console.log(`${name.padEnd(22)} median ${median.toFixed(3).padStart(10)} ms   max ${max.toFixed(3).padStart(10)} ms   budget ${String(budget).padStart(6)} ms${mark}`);
+  }
+  if (over.length > 0) {
+    console.log(`${over.length} over budget`);
+    process.exit(1);
+  }
+  console.log('All within budget');
+}
+
+main();
@@ -0,0 +1,760 @@
+// Randomized property tests for Tagged Interval Tree
+//
+// Runs random sequences of addTag, removeTag, toggleTag, clearFormatting, replaceTag, insertText, deleteRange,
+// copy and paste (extractRange and insertDocument), addAnnotation and removeAnnotation against a naive model, that
+// keeps the tags (and their attributes) of every character, and the annotations. Tags include sub and sup, which
+// exclude each other, and note, which spans blocks. Half of the runs have blocks, with setBlockType too. After each
+// step it checks that:
+// - the tree properties hold (validate)
+// - getTagsAt and getSegments give the tags and attributes of the model, and the blocks and annotations are those of the model
+// - getFormattedText (also with minimal tags and annotations) keeps the text, and reading it back with fromHTML gives the
+//   tags of the model, and its blocks when every line starts with text other than whitespace
+// - the same for Markdown, except for emphasis on whitespace at the edges of its runs, which Markdown leaves out
+// A failing sequence is shrunk to a minimal reproduction.
+//
+// Then it runs random collaborative sessions: clients of a CollaborationServer make random edits, and messages
+// are delivered in random order. Once all are delivered, every client must have the document of the server.
+//
+// Usage: node fuzz-tests.js [--seed N] [--runs N] [--steps N]
+
+const { TaggedIntervalTree, BlockList, AnnotationList, CollaborationServer, CollaborationClient } = require('./taggedIntervalTree.js');
+
+// A tag spanning blocks, written as <ins> in HTML
+TaggedIntervalTree.tags.register({ tag: 'note', html: 'ins', spansBlocks: true });
+
+const TAGS = ['b', 'i', 'u', 's', 'code', 'a', 'sub', 'sup', 'note'];
+// Tags each tag removes where it is added, and tags kept on the line breaks between blocks, as registered
+const EXCLUSIVE = { sub: ['sup'], sup: ['sub'] };
+const SPANNING = ['note'];
+const ANNOTATION_TYPES = ['comment', 'highlight'];
+const LINKS = ['https://a.example', 'https://b.example'];
+const CHARACTERS = 'ab <&>*_`\n';
+
+// Small seeded random generator (mulberry32), so failures can be replayed with --seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[integer(0, list.length - 1)];
+  return { next, integer, pick };
+}
+
+function randomText(random, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += random.pick(CHARACTERS.split(''));
+  }
+  return text;
+}
+
+// options.blocks adds setBlockType; with options.annotations, the ids of the annotations added so far, it adds
+// addAnnotation and removeAnnotation, and new ids are pushed to it
+function randomOperation(random, textLength, options = {}) {
+  const kinds = ['addTag', 'addTag', 'removeTag', 'removeTag', 'toggleTag', 'clearFormatting', 'replaceTag',
+    'insertText', 'deleteRange', 'copyPaste'];
+  if (options.blocks) kinds.push('setBlockType');
+  if (options.annotations) kinds.push('addAnnotation', 'removeAnnotation');
+  let kind = random.pick(kinds);
+  if (kind === 'removeAnnotation' && options.annotations.length === 0) kind = 'addAnnotation';
+  const start = random.integer(0, textLength);
+  const end = random.integer(start, textLength);
+
+  switch (kind) {
+    case 'setBlockType':
+      return { kind, type: random.pick(BlockList.TYPES), start, end };
+    case 'addAnnotation': {
+      const id = `a${options.annotations.length}`;
+      options.annotations.push(id);
+      return { kind, id, type: random.pick(ANNOTATION_TYPES), start, end };
+    }
+    case 'removeAnnotation':
+      return { kind, id: random.pick(options.annotations) };
+    case 'insertText':
+      return { kind, position: start, text: randomText(random, random.integer(1, 4)) };
+    case 'deleteRange':
+    case 'clearFormatting':
+      return { kind, start, end };
+    case 'copyPaste':
+      return { kind, start, end, position: random.integer(0, textLength) };
+    case 'replaceTag': {
+      // Not a, since other tags do not keep its href
+      const tags = TAGS.filter(tag => tag !== 'a');
+      return { kind, tag: random.pick(tags), newTag: random.pick(tags), start, end };
+    }
+    default: {
+      const tag = random.pick(TAGS);
+      const attributes = tag === 'a' && kind !== 'removeTag' ? { href: random.pick(LINKS) } : null;
+      return { kind, tag, attributes, start, end };
+    }
+  }
+}
+
+function describeOperation(operation) {
+  switch (operation.kind) {
+    case 'insertText':
+      return `insertText(${operation.position}, ${operation.text.length}, ${JSON.stringify(operation.text)})`;
+    case 'deleteRange':
+      return `deleteRange(${operation.start}, ${operation.end})`;
+    case 'clearFormatting':
+      return `clearFormatting([${operation.start}, ${operation.end}])`;
+    case 'copyPaste':
+      return `insertDocument(${operation.position}, tree.extractRange([${operation.start}, ${operation.end}], text))`;
+    case 'replaceTag':
+      return `replaceTag('${operation.tag}', '${operation.newTag}', [${operation.start}, ${operation.end}])`;
+    case 'setBlockType':
+      return `setBlockType('${operation.type}', [${operation.start}, ${operation.end}])`;
+    case 'addAnnotation':
+      return `addAnnotation({ id: '${operation.id}', start: ${operation.start}, end: ${operation.end}, type: '${operation.type}' })`;
+    case 'removeAnnotation':
+      return `removeAnnotation('${operation.id}')`;
+    default: {
+      const attributes = operation.attributes ? `, ${JSON.stringify(operation.attributes)}` : '';
+      return `${operation.kind}('${operation.tag}', [${operation.start}, ${operation.end}]${attributes})`;
+    }
+  }
+}
+
+// Naive model: the text, a map from tag to attributes per character, the block type of every line when there are
+// blocks (or null), and the annotations { id, start, end, type }
+class Model {
+  constructor(text, blocks) {
+    this.text = text;
+    this.tags = Array.from(text, () => new Map());
+    this.blocks = blocks ? text.split('\n').map(() => 'p') : null;
+    this.annotations = [];
+  }
+
+  // With blocks, only tags spanning blocks are on line breaks
+  canHold(i, tag) {
+    return !this.blocks || this.text[i] !== '\n' || SPANNING.includes(tag);
+  }
+
+  // Put tag on character i, removing the tags it excludes
+  setTag(i, tag, attributes) {
+    this.tags[i].set(tag, attributes);
+    for (const other of EXCLUSIVE[tag] || []) this.tags[i].delete(other);
+  }
+
+  // Line of position: a position before a line break is on the line it ends
+  lineAt(position) {
+    let line = 0;
+    for (let i = 0; i < position; i++) {
+      if (this.text[i] === '\n') line++;
+    }
+    return line;
+  }
+
+  lineStart(line) {
+    let start = 0;
+    for (let i = 0; i < line; i++) start = this.text.indexOf('\n', start) + 1;
+    return start;
+  }
+
+  // Insert text with tags (a map per character) at position; each line break splits its line, the new lines
+  // getting its type
+  insert(position, text, tags) {
+    if (this.blocks) {
+      const line = this.lineAt(position);
+      const added = text.split('\n').length - 1;
+      this.blocks.splice(line + 1, 0, ...Array(added).fill(this.blocks[line]));
+    }
+    this.text = this.text.substring(0, position) + text + this.text.substring(position);
+    this.tags.splice(position, 0, ...tags);
+    for (const annotation of this.annotations) {
+      if (position <= annotation.start) {
+        annotation.start += text.length;
+        annotation.end += text.length;
+      } else if (position < annotation.end) {
+        annotation.end += text.length;
+      }
+    }
+  }
+
+  apply(operation) {
+    switch (operation.kind) {
+      case 'addTag':
+        // New attributes override old ones with same name
+        for (let i = operation.start; i < operation.end; i++) {
+          if (!this.canHold(i, operation.tag)) continue;
+          const attributes = { ...(this.tags[i].get(operation.tag) || {}), ...(operation.attributes || {}) };
+          this.setTag(i, operation.tag, attributes);
+        }
+        break;
+      case 'removeTag':
+        for (let i = operation.start; i < operation.end; i++) this.tags[i].delete(operation.tag);
+        break;
+      case 'toggleTag': {
+        // Line breaks between blocks do not count for having the tag everywhere
+        let some = false;
+        let every = true;
+        for (let i = operation.start; i < operation.end; i++) {
+          const has = this.tags[i].has(operation.tag);
+          some = some || has;
+          if (!has && (!this.blocks || this.text[i] !== '\n')) every = false;
+        }
+        if (some && every) {
+          this.apply({ ...operation, kind: 'removeTag' });
+        } else {
+          // Only characters without the tag get it, so others keep their attributes
+          for (let i = operation.start; i < operation.end; i++) {
+            if (!this.tags[i].has(operation.tag) && this.canHold(i, operation.tag)) {
+              this.setTag(i, operation.tag, { ...(operation.attributes || {}) });
+            }
+          }
+        }
+        break;
+      }
+      case 'clearFormatting':
+        for (let i = operation.start; i < operation.end; i++) this.tags[i].clear();
+        break;
+      case 'replaceTag':
+        // Attributes of the old tag override those of the new one
+        if (operation.tag === operation.newTag) break;
+        for (let i = operation.start; i < operation.end; i++) {
+          if (!this.tags[i].has(operation.tag)) continue;
+          const attributes = { ...(this.tags[i].get(operation.newTag) || {}), ...this.tags[i].get(operation.tag) };
+          this.tags[i].delete(operation.tag);
+          if (this.canHold(i, operation.newTag)) this.setTag(i, operation.newTag, attributes);
+        }
+        break;
+      case 'insertText': {
+        // Inserted text takes the tags of the character to its left; inserted line breaks only keep those spanning blocks
+        const { position, text } = operation;
+        const inherited = position > 0 ? this.tags[position - 1] : new Map();
+        this.insert(position, text, Array.from(text, () => new Map(inherited)));
+        for (let i = position; i < position + text.length; i++) {
+          for (const tag of [...this.tags[i].keys()]) {
+            if (!this.canHold(i, tag)) this.tags[i].delete(tag);
+          }
+        }
+        break;
+      }
+      case 'deleteRange': {
+        const { start, end } = operation;
+        // Lines whose line breaks are deleted are joined, keeping the type of the first
+        if (this.blocks) this.blocks.splice(this.lineAt(start) + 1, this.lineAt(end) - this.lineAt(start));
+        this.text = this.text.substring(0, start) + this.text.substring(end);
+        this.tags.splice(start, end - start);
+        const move = (position) => position <= start ? position : Math.max(start, position - (end - start));
+        for (const annotation of this.annotations) {
+          annotation.start = move(annotation.start);
+          annotation.end = move(annotation.end);
+        }
+        this.annotations = this.annotations.filter(annotation => annotation.start < annotation.end);
+        break;
+      }
+      case 'copyPaste': {
+        // Pasted text keeps the tags it was copied with
+        const { start, end, position } = operation;
+        if (start === end) break;
+        const copied = this.tags.slice(start, end).map(tags => new Map(tags));
+        const copiedText = this.text.substring(start, end);
+        const copiedBlocks = this.blocks && this.blocks.slice(this.lineAt(start), this.lineAt(end) + 1);
+        const line = this.lineAt(position);
+        const lineStart = this.lineStart(line);
+        const lineEnd = lineStart + this.text.substring(lineStart).split('\n')[0].length;
+        this.insert(position, copiedText, copied);
+
+        // Pasted lines get their types, but the first and last keep the type of the line pasted into when it has text
+        // before or after them
+        if (this.blocks) {
+          let pastedLineStart = 0;
+          copiedBlocks.forEach((type, index) => {
+            const textBefore = index === 0 && position > lineStart;
+            const textAfter = index === copiedBlocks.length - 1 && position < lineEnd;
+            if (!textBefore && !textAfter) this.blocks[this.lineAt(position + pastedLineStart)] = type;
+            pastedLineStart = copiedText.indexOf('\n', pastedLineStart) + 1;
+          });
+        }
+        break;
+      }
+      case 'setBlockType': {
+        // Lines overlapping the interval, or the line of an empty interval
+        const first = this.lineAt(operation.start);
+        for (let line = first; line < this.blocks.length && (line === first || this.lineStart(line) < operation.end); line++) {
+          this.blocks[line] = operation.type;
+        }
+        break;
+      }
+      case 'addAnnotation':
+        this.annotations.push({ id: operation.id, start: operation.start, end: operation.end, type: operation.type });
+        break;
+      case 'removeAnnotation':
+        this.annotations = this.annotations.filter(annotation => annotation.id !== operation.id);
+        break;
+    }
+  }
+}
+
+// text is the text before the operation
+function applyToTree(tree, operation, text) {
+  switch (operation.kind) {
+    case 'copyPaste':
+      tree.insertDocument(operation.position, tree.extractRange([operation.start, operation.end], text));
+      break;
+    case 'insertText':
+      tree.insertText(operation.position, operation.text.length, operation.text);
+      break;
+    case 'deleteRange':
+      tree.deleteRange(operation.start, operation.end);
+      break;
+    case 'clearFormatting':
+      tree.clearFormatting([operation.start, operation.end]);
+      break;
+    case 'replaceTag':
+      tree.replaceTag(operation.tag, operation.newTag, [operation.start, operation.end]);
+      break;
+    case 'setBlockType':
+      tree.setBlockType(operation.type, [operation.start, operation.end]);
+      break;
+    case 'addAnnotation':
+      tree.addAnnotation({ id: operation.id, start: operation.start, end: operation.end, type: operation.type });
+      break;
+    case 'removeAnnotation':
+      tree.removeAnnotation(operation.id);
+      break;
+    default:
+      tree[operation.kind](operation.tag, [operation.start, operation.end], operation.attributes);
+  }
+}
+
+const sortedTags = (tags) => [...tags].sort().join(',');
+
+// Tags with their attributes, like a{"href":"https://a.example"},b
+function describeTags(tags, attributes) {
+  return [...tags].sort().map(tag => {
+    const tagAttributes = attributes(tag);
+    return tagAttributes && Object.keys(tagAttributes).length > 0 ? `${tag}${JSON.stringify(tagAttributes)}` : tag;
+  }).join(',');
+}
+
+const describeModelTags = (tags) => describeTags(tags.keys(), tag => tags.get(tag));
+const describeSegmentTags = (segment) => describeTags(segment.tags, tag => segment.attributes[tag]);
+
+// Tags of every character, from the segments of tree
+function segmentTagsPerCharacter(tree) {
+  const result = [];
+  for (const segment of tree.getSegments()) {
+    for (let i = segment.start; i < segment.end; i++) {
+      result[i] = describeSegmentTags(segment);
+    }
+  }
+  return result;
+}
+
+// Tags per character expected after a Markdown round trip: emphasis is left out on whitespace at the edges
+// of its runs, and on blank lines
+function markdownModelTags(model) {
+  const tags = model.tags.map(characterTags => new Map(characterTags));
+  for (const tag of Object.keys(TaggedIntervalTree.tags.markdownDelimiters())) {
+    for (let start = 0; start < tags.length; ) {
+      if (!tags[start].has(tag)) {
+        start++;
+        continue;
+      }
+      let end = start;
+      while (end < tags.length && tags[end].has(tag)) end++;
+
+      const run = model.text.substring(start, end);
+      const leading = /^\s*/.exec(run)[0].length;
+      const trailing = leading === run.length ? 0 : /\s*$/.exec(run)[0].length;
+      const removed = [[0, leading], [run.length - trailing, run.length]];
+      const blankLine = /\s*\n[ \t]*\n\s*/g;
+      let match;
+      while ((match = blankLine.exec(run)) !== null) {
+        removed.push([match.index, match.index + match[0].length]);
+      }
+      for (const [from, to] of removed) {
+        for (let i = start + from; i < start + to; i++) tags[i].delete(tag);
+      }
+      start = end;
+    }
+  }
+  return tags;
+}
+
+// Compare tree with model, returning a description of the first difference, or null
+function compare(tree, model) {
+  const violations = tree.validate();
+  if (violations.length > 0) {
+    return `tree property broken: ${TaggedIntervalTree.formatViolation(violations[0])}`;
+  }
+
+  if (tree.root.interval[0] !== 0 || tree.root.interval[1] !== model.text.length) {
+    return `root interval [${tree.root.interval}] does not cover text of length ${model.text.length}`;
+  }
+
+  for (let i = 0; i < model.text.length; i++) {
+    const tags = tree.getTagsAt(i);
+    if (new Set(tags).size !== tags.length) {
+      return `getTagsAt(${i}) has a repeated tag: ${tags}`;
+    }
+    if (sortedTags(tags) !== sortedTags(model.tags[i].keys())) {
+      return `getTagsAt(${i}) is [${sortedTags(tags)}], expected [${sortedTags(model.tags[i].keys())}]`;
+    }
+  }
+
+  const segmentTags = segmentTagsPerCharacter(tree);
+  for (let i = 0; i < model.text.length; i++) {
+    if (segmentTags[i] !== describeModelTags(model.tags[i])) {
+      return `getSegments() gives [${segmentTags[i]}] at ${i}, expected [${describeModelTags(model.tags[i])}]`;
+    }
+  }
+
+  if (model.blocks && JSON.stringify(tree.blocks.toJSON()) !== JSON.stringify(model.blocks)) {
+    return `blocks are ${JSON.stringify(tree.blocks.toJSON())}, expected ${JSON.stringify(model.blocks)}`;
+  }
+
+  const message = compareAnnotations(tree, model);
+  if (message) {
+    return message;
+  }
+
+  // Tags are read back from the HTML of the text without blocks, where line breaks are text
+  const inline = tree.clone();
+  inline.blocks = null;
+  for (const options of [{}, { minimal: true }, { annotations: true }, { minimal: true, annotations: true }]) {
+    const html = inline.getFormattedText(model.text, options);
+    const parsed = TaggedIntervalTree.fromHTML(html);
+    if (parsed.text !== model.text) {
+      return `getFormattedText(${JSON.stringify(options)}) changed the text: ${JSON.stringify(html)}`;
+    }
+    const parsedTags = segmentTagsPerCharacter(parsed.tree);
+    for (let i = 0; i < model.text.length; i++) {
+      if (parsedTags[i] !== describeModelTags(model.tags[i])) {
+        return `getFormattedText(${JSON.stringify(options)}) gives [${parsedTags[i]}] at ${i}, expected [${describeModelTags(model.tags[i])}]: ${JSON.stringify(html)}`;
+      }
+    }
+  }
+
+  // fromHTML reads blocks like browsers show them, leaving out empty blocks and whitespace starting a block, so blocks
+  // are only read back when every line starts with other text
+  if (model.blocks && model.text.split('\n').every(line => line.length > 0 && line[0] !== ' ')) {
+    const html = tree.getFormattedText(model.text);
+    const parsed = TaggedIntervalTree.fromHTML(html, { blocks: true });
+    if (parsed.text !== model.text) {
+      return `getFormattedText changed the text of the blocks: ${JSON.stringify(html)}`;
+    }
+    if (JSON.stringify(parsed.tree.blocks.toJSON()) !== JSON.stringify(model.blocks)) {
+      return `getFormattedText gives blocks ${JSON.stringify(parsed.tree.blocks.toJSON())}, expected ${JSON.stringify(model.blocks)}: ${JSON.stringify(html)}`;
+    }
+    const parsedTags = segmentTagsPerCharacter(parsed.tree);
+    for (let i = 0; i < model.text.length; i++) {
+      // Tags spanning blocks are rendered inside the block elements, so the line breaks between blocks lose them
+      if (model.text[i] === '\n') continue;
+      if (parsedTags[i] !== describeModelTags(model.tags[i])) {
+        return `getFormattedText gives [${parsedTags[i]}] at ${i} of the blocks, expected [${describeModelTags(model.tags[i])}]: ${JSON.stringify(html)}`;
+      }
+    }
+  }
+
+  const markdown = tree.render(model.text, 'markdown');
+  const parsedMarkdown = TaggedIntervalTree.fromMarkdown(markdown);
+  if (parsedMarkdown.text !== model.text) {
+    return `Markdown changed the text to ${JSON.stringify(parsedMarkdown.text)}: ${JSON.stringify(markdown)}`;
+  }
+  const markdownTags = segmentTagsPerCharacter(parsedMarkdown.tree);
+  const expectedMarkdownTags = markdownModelTags(model);
+  for (let i = 0; i < model.text.length; i++) {
+    if (markdownTags[i] !== describeModelTags(expectedMarkdownTags[i])) {
+      return `Markdown gives [${markdownTags[i]}] at ${i}, expected [${describeModelTags(expectedMarkdownTags[i])}]: ${JSON.stringify(markdown)}`;
+    }
+  }
+
+  return null;
+}
+
+// Annotations of tree, compared with those of model; returns a description of the first difference, or null
+function compareAnnotations(tree, model) {
+  const annotations = tree.annotations.getAll();
+  for (let i = 1; i < annotations.length; i++) {
+    const [a, b] = [annotations[i - 1], annotations[i]];
+    if (a.start > b.start || (a.start === b.start && a.end > b.end)) {
+      return `annotations are not sorted: ${JSON.stringify(a)} before ${JSON.stringify(b)}`;
+    }
+  }
+
+  const describe = (list) => list.map(annotation => `${annotation.id}:[${annotation.start},${annotation.end}]:${annotation.type}`).sort().join(' ');
+  if (describe(annotations) !== describe(model.annotations)) {
+    return `annotations are ${describe(annotations)}, expected ${describe(model.annotations)}`;
+  }
+  for (let i = 0; i < model.text.length; i++) {
+    const expected = model.annotations.filter(annotation => annotation.start <= i && i < annotation.end);
+    if (describe(tree.getAnnotationsAt(i)) !== describe(expected)) {
+      return `getAnnotationsAt(${i}) gives ${describe(tree.getAnnotationsAt(i))}, expected ${describe(expected)}`;
+    }
+  }
+  return null;
+}
+
+// Run operations on a fresh tree and model, returning { step, message } for the first failure, or null
+function run(text, operations, blocks) {
+  const tree = new TaggedIntervalTree(0, text.length);
+  if (blocks) tree.blocks = new BlockList(text);
+  tree.annotations = new AnnotationList();
+  const model = new Model(text, blocks);
+
+  for (let step = 0; step < operations.length; step++) {
+    const operation = operations[step];
+    // Operations may become out of range while shrinking
+    if (!isValid(operation, model.text.length)) continue;
+
+    try {
+      applyToTree(tree, operation, model.text);
+    } catch (e) {
+      return { step, message: `${describeOperation(operation)} threw ${e.stack}` };
+    }
+    model.apply(operation);
+
+    const message = compare(tree, model);
+    if (message) {
+      return { step, message };
+    }
+  }
+
+  return null;
+}
+
+function isValid(operation, textLength) {
+  if (operation.kind === 'insertText') {
+    return operation.position <= textLength;
+  }
+  if (operation.kind === 'copyPaste' && operation.position > textLength) {
+    return false;
+  }
+  if (operation.kind === 'removeAnnotation') {
+    return true;
+  }
+  if (operation.kind === 'addAnnotation' && operation.start === operation.end) {
+    return false; // Annotations are never empty
+  }
+  return operation.start <= operation.end && operation.end <= textLength;
+}
+
+// Make a failing sequence smaller while it keeps failing: drop operations, then shrink their intervals
+function shrink(text, operations, blocks) {
+  let current = operations;
+  const fails = (candidate) => run(text, candidate, blocks) !== null;
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    // Drop chunks of operations, from large to single ones
+    for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+      for (let i = 0; i + size <= current.length; ) {
+        const candidate = [...current.slice(0, i), ...current.slice(i + size)];
+        if (fails(candidate)) {
+          current = candidate;
+          changed = true;
+        } else {
+          i += size;
+        }
+      }
+    }
+
+    // Shrink intervals and inserted text of each operation
+    for (let i = 0; i < current.length; i++) {
+      for (const smaller of smallerOperations(current[i])) {
+        const candidate = [...current.slice(0, i), smaller, ...current.slice(i + 1)];
+        if (fails(candidate)) {
+          current = candidate;
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+
+  // Shorten the text last, since operations depend on its length
+  let shortText = text;
+  while (shortText.length > 0 && run(shortText.substring(0, shortText.length - 1), current, blocks) !== null) {
+    shortText = shortText.substring(0, shortText.length - 1);
+  }
+
+  return { text: shortText, operations: current };
+}
+
+function smallerOperations(operation) {
+  const result = [];
+  if (operation.kind === 'insertText') {
+    if (operation.text.length > 1) result.push({ ...operation, text: operation.text.substring(1) });
+    if (operation.position > 0) result.push({ ...operation, position: operation.position - 1 });
+  } else if (operation.kind !== 'removeAnnotation') {
+    if (operation.start < operation.end) {
+      result.push({ ...operation, start: operation.start + 1 });
+      result.push({ ...operation, end: operation.end - 1 });
+    }
+    if (operation.start > 0) {
+      result.push({ ...operation, start: operation.start - 1, end: operation.end - 1 });
+    }
+  }
+  return result;
+}
+
+// Run a collaborative session of clients making steps random edits, delivering messages in random order;
+// returns a description of the first problem, or null
+function runCollaboration(random, steps) {
+  const server = new CollaborationServer(randomText(random, random.integer(10, 40)));
+  const clients = [];
+  for (let i = random.integer(2, 4); i > 0; i--) {
+    clients.push(new CollaborationClient(server));
+  }
+  const log = [];
+
+  const deliverAll = () => {
+    let delivered = true;
+    while (delivered) {
+      delivered = server.deliver();
+      for (const client of clients) {
+        delivered = client.deliver() || delivered;
+      }
+    }
+  };
+
+  try {
+    for (let step = 0; step < steps; step++) {
+      const index = random.integer(0, clients.length - 1);
+      const client = clients[index];
+      if (random.next() < 0.5) {
+        const operation = randomOperation(random, client.document.text.length);
+        log.push(`client ${index}: ${describeOperation(operation)}`);
+        applyToClient(client, operation);
+      } else if (random.next() < 0.5) {
+        log.push(`client ${index}: deliver`);
+        client.deliver();
+      } else {
+        log.push('server: deliver');
+        server.deliver();
+      }
+    }
+    deliverAll();
+  } catch (e) {
+    return `${log.join('\n')}\nthrew ${e.stack}`;
+  }
+
+  // Trees may nest differently, depending on the order of operations, but must give the same tags
+  const expected = JSON.stringify(segmentTagsPerCharacter(server.document.tree));
+  for (let i = 0; i < clients.length; i++) {
+    const { text, tree } = clients[i].document;
+    if (text !== server.document.text || JSON.stringify(segmentTagsPerCharacter(tree)) !== expected) {
+      return `${log.join('\n')}\nclient ${i} has ${JSON.stringify(text)} ${tree.toString()}, ` +
+        `server has ${JSON.stringify(server.document.text)} ${server.document.tree.toString()}`;
+    }
+    const violations = tree.validate();
+    if (violations.length > 0) {
+      return `${log.join('\n')}\nclient ${i} breaks tree properties: ${violations.map(v => v.message).join('; ')}`;
+    }
+  }
+  return null;
+}
+
+// Clients have no toggleTag, clearFormatting or replaceTag, they are made of removeTag and addTag
+// Pasting is sent as inserted text, without the copied tags.
+function applyToClient(client, operation) {
+  const interval = [operation.start, operation.end];
+  switch (operation.kind) {
+    case 'copyPaste':
+      if (operation.start === operation.end) return;
+      return client.insertText(operation.position, client.document.text.substring(operation.start, operation.end));
+    case 'clearFormatting':
+      for (const tag of TAGS) {
+        client.removeTag(tag, interval);
+      }
+      return;
+    case 'replaceTag': {
+      const parts = client.document.tree.getSegments()
+        .filter(segment => segment.tags.includes(operation.tag) && segment.start < operation.end && segment.end > operation.start);
+      client.removeTag(operation.tag, interval);
+      for (const part of parts) {
+        const partInterval = [Math.max(part.start, operation.start), Math.min(part.end, operation.end)];
+        client.addTag(operation.newTag, partInterval, part.attributes[operation.tag] || null);
+      }
+      return;
+    }
+    case 'insertText':
+      return client.insertText(operation.position, operation.text);
+    case 'deleteRange':
+      return client.deleteRange(operation.start, operation.end);
+    case 'removeTag':
+      return client.removeTag(operation.tag, interval);
+    case 'toggleTag':
+      if (client.document.tree.getTagCoverage(operation.tag, interval).coverage === 'full') {
+        return client.removeTag(operation.tag, interval);
+      }
+      return client.addTag(operation.tag, interval, operation.attributes);
+    default:
+      return client.addTag(operation.tag, interval, operation.attributes);
+  }
+}
+
+function parseArguments(argv) {
+  const options = { seed: Date.now() % 100000, runs: 200, steps: 60 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    options[name] = Number(argv[i + 1]);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArguments(process.argv.slice(2));
+  console.log(`Fuzzing with seed ${options.seed}, ${options.runs} runs of ${options.steps} steps`);
+
+  for (let runIndex = 0; runIndex < options.runs; runIndex++) {
+    const random = createRandom(options.seed + runIndex);
+    const text = randomText(random, random.integer(10, 40));
+    const blocks = random.next() < 0.5;
+    const operations = [];
+    const annotations = [];
+    let length = text.length;
+    for (let step = 0; step < options.steps; step++) {
+      const operation = randomOperation(random, length, { blocks, annotations });
+      operations.push(operation);
+      if (operation.kind === 'insertText') length += operation.text.length;
+      if (operation.kind === 'deleteRange') length -= operation.end - operation.start;
+      if (operation.kind === 'copyPaste') length += operation.end - operation.start;
+    }
+
+    const failure = run(text, operations, blocks);
+    if (failure) {
+      const minimal = shrink(text, operations.slice(0, failure.step + 1), blocks);
+      const minimalFailure = run(minimal.text, minimal.operations, blocks);
+
+      console.log(`\nFailed in run ${runIndex} (seed ${options.seed + runIndex}) at step ${failure.step}: ${failure.message}`);
+      console.log('\nMinimal reproduction:');
+      console.log(`  const tree = new TaggedIntervalTree(0, ${minimal.text.length}); // text ${JSON.stringify(minimal.text)}`);
+      if (blocks) console.log(`  tree.blocks = new BlockList(${JSON.stringify(minimal.text)});`);
+      console.log('  tree.annotations = new AnnotationList();');
+      for (const operation of minimal.operations) {
+        console.log(`  tree.${describeOperation(operation)};`);
+      }
+      console.log(`  // ${minimalFailure.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  for (let runIndex = 0; runIndex < options.runs; runIndex++) {
+    const seed = options.seed + runIndex;
+    const message = runCollaboration(createRandom(seed), options.steps);
+    if (message) {
+      console.log(`\nCollaborative session failed in run ${runIndex} (seed ${seed}):\n${message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  console.log('All runs passed');
+}
+
+main();
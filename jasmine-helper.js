@@ -0,0 +1,2 @@
+// Runs jasmine-tests.js in Node (npm test): the tests use the classes as globals, like test.html does
+Object.assign(global, require('./taggedIntervalTree.js'));
@@ -17,6 +17,14 @@ describe('IntervalNode', function() {
     expect(result).toContain('[0,10] tag: b');
     expect(result).toContain('  [2,8] tag: i');
   });
+
+  it('labels a node without its children', function() {
+    const node = new IntervalNode(0, 10, 'a', { href: 'https://example.com' });
+    node.children.push(new IntervalNode(2, 8, 'i'));
+
+    expect(node.label()).toBe('[0,10] tag: a href="https://example.com"');
+    expect(new IntervalNode(0, 5).label()).toBe('[0,5]');
+  });
 });
 
 describe('TaggedIntervalTree', function() {
@@ -106,6 +114,17 @@ describe('Adding tags', function() {
     expect(tree.root.children[0].interval).toEqual([10, 30]);
   });
 
+  it('extends a tag when adding it over and past its end', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.addTag('i', [25, 30]);
+    tree.addTag('b', [10, 40]);
+
+    expect(tree.validate()).toEqual([]);
+    expect(tree.hasTag('b', [10, 40])).toBe(true);
+    expect(tree.getTagsAt(27)).toEqual(['i', 'b']);
+  });
+
   it('adds same tag with gap between', function() {
     const tree = new TaggedIntervalTree(0, 100);
     tree.addTag('b', [10, 20]);
@@ -199,6 +218,94 @@ describe('Removing tags', function() {
     expect(tree.root.children[0].interval).toEqual([20, 30]);
   });
 
+  it('splits a child crossing the end of the removed part', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 30]);
+    tree.addTag('i', [12, 28]);
+    tree.removeTag('b', [20, 40]);
+
+    expect(tree.root.children.length).toBe(2);
+    expect(tree.root.children[0].interval).toEqual([10, 20]);
+    expect(tree.root.children[0].children[0].interval).toEqual([12, 20]);
+    expect(tree.root.children[1].tag).toBe('i');
+    expect(tree.root.children[1].interval).toEqual([20, 28]);
+  });
+
+  it('splits a child crossing the start of the removed part', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 30]);
+    tree.addTag('i', [12, 28]);
+    tree.removeTag('b', [0, 20]);
+
+    expect(tree.root.children.length).toBe(2);
+    expect(tree.root.children[0].tag).toBe('i');
+    expect(tree.root.children[0].interval).toEqual([12, 20]);
+    expect(tree.root.children[1].interval).toEqual([20, 30]);
+    expect(tree.root.children[1].children[0].interval).toEqual([20, 28]);
+  });
+
+  it('traces the states of the search', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.traceRemoveTag = true;
+    tree.addTag('b', [10, 50]);
+    tree.addTag('i', [20, 30]);
+    tree.addTag('b', [60, 70]);
+    tree.removeTag('b', [40, 65]);
+
+    expect(tree.removeTagTrace.tag).toBe('b');
+    expect(tree.removeTagTrace.interval).toEqual([40, 65]);
+    expect(tree.removeTagTrace.steps).toEqual([
+      { path: 'root.children[0]', tag: 'b', interval: [10, 50], state: 'REMOVE-INTERVAL-RIGHT', removed: true, remainingInterval: [50, 65] },
+      { path: 'root.children[1]', tag: 'b', interval: [60, 70], state: 'REMOVE-INTERVAL-LEFT', removed: true, remainingInterval: [65, 65] },
+      { path: 'root', tag: null, interval: [0, 100], state: 'PROCESSED_CHILDREN', removed: true, remainingInterval: [65, 65] }
+    ]);
+
+    tree.removeTag('i', [22, 24]);
+    expect(tree.removeTagTrace.steps.map(step => [step.path, step.state])).toEqual([
+      ['root.children[0].children[0]', 'REMOVE-INTERVAL-INSIDE'],
+      ['root.children[0]', 'PROCESSED_CHILDREN'],
+      ['root', 'PROCESSED_CHILDREN']
+    ]);
+  });
+
+  it('keeps the trace of the last removeTag through changes removing tags themselves', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.traceRemoveTag = true;
+    tree.addTag('b', [10, 50]);
+    tree.addTag('sup', [60, 70]);
+    tree.removeTag('b', [20, 30]);
+    const trace = tree.removeTagTrace;
+
+    tree.addTag('sub', [0, 10]);
+    tree.addTag('sub', [65, 80]);
+    tree.addTag('a', [0, 5], { href: 'https://a.example' });
+    tree.addTag('a', [0, 5], { href: 'https://b.example' });
+    tree.replaceTag('b', 'i', [0, 100]);
+
+    expect(tree.getTagsAt(62)).toEqual(['sup']);
+    expect(tree.getTagsAt(66)).toEqual(['sub']);
+    expect(tree.removeTagTrace).toBe(trace);
+    expect(tree.removeTagTrace.tag).toBe('b');
+  });
+
+  it('traces removeTag only when asked to', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 50]);
+    spyOn(tree, '_removeTag').and.callThrough();
+    expect(tree.removeTag('b', [20, 30])).toBe(true);
+    expect(tree._removeTag).toHaveBeenCalledWith('b', [20, 30]);
+    expect(tree.removeTagTrace).toBeNull();
+
+    tree.traceRemoveTag = true;
+    tree.removeTag('b', [10, 15]);
+    const trace = tree.removeTagTrace;
+    expect(trace.steps.length).toBe(2);
+    tree.traceRemoveTag = false;
+    tree.removeTag('b', [40, 50]);
+    expect(tree.removeTagTrace).toBe(trace);
+    expect(tree.clone().traceRemoveTag).toBe(false);
+  });
+
   // Additional remove tests...
 });
 
@@ -318,3 +425,1807 @@ describe('Edge cases', function() {
     expect(tree.root.children[0].tag).toBe('b');
   });
 });
+
+describe('Editing text', function() {
+  it('shifts tags after inserted text', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.insertText(5, 3);
+
+    expect(tree.root.interval).toEqual([0, 103]);
+    expect(tree.root.children[0].interval).toEqual([13, 23]);
+  });
+
+  it('grows a tag when text is inserted inside it', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 40]);
+    tree.addTag('i', [20, 30]);
+    tree.insertText(25, 5);
+
+    expect(tree.root.children[0].interval).toEqual([10, 45]);
+    expect(tree.root.children[0].children[0].interval).toEqual([20, 35]);
+  });
+
+  it('extends the tag to the left of an insertion at a boundary', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.addTag('i', [20, 30]);
+    tree.insertText(20, 2);
+
+    expect(tree.root.children[0].interval).toEqual([10, 22]);
+    expect(tree.root.children[1].interval).toEqual([22, 32]);
+  });
+
+  it('grows the root when text is appended at the end', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.insertText(10, 4);
+
+    expect(tree.root.interval).toEqual([0, 14]);
+  });
+
+  it('shrinks a tag overlapping deleted text', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 30]);
+    tree.deleteRange(20, 40);
+
+    expect(tree.root.interval).toEqual([0, 80]);
+    expect(tree.root.children[0].interval).toEqual([10, 20]);
+  });
+
+  it('drops tags whose whole interval is deleted', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.addTag('i', [30, 40]);
+    tree.deleteRange(5, 25);
+
+    expect(tree.root.children.length).toBe(1);
+    expect(tree.root.children[0].tag).toBe('i');
+    expect(tree.root.children[0].interval).toEqual([10, 20]);
+  });
+
+  it('merges same tag neighbors that touch after deletion', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.addTag('b', [30, 40]);
+    tree.addTag('i', [15, 20]);
+    tree.addTag('i', [30, 35]);
+    tree.deleteRange(20, 30);
+
+    expect(tree.root.children.length).toBe(1);
+    expect(tree.root.children[0].interval).toEqual([10, 30]);
+    expect(tree.root.children[0].children.length).toBe(1);
+    expect(tree.root.children[0].children[0].interval).toEqual([15, 25]);
+  });
+
+  it('keeps formatting on the same characters after editing', function() {
+    const tree = new TaggedIntervalTree(0, 12);
+    tree.addTag('b', [6, 11]);
+    tree.insertText(0, 4);
+    tree.deleteRange(0, 2);
+
+    expect(tree.getFormattedText("abHello world!")).toBe("abHello <b>world</b>!");
+  });
+});
+
+describe('EditHistory', function() {
+  let time;
+  let tree;
+  let history;
+
+  beforeEach(function() {
+    time = 0;
+    tree = new TaggedIntervalTree(0, 12);
+    history = new EditHistory(tree, "Hello world!", { now: () => time });
+  });
+
+  it('undoes and redoes adding a tag', function() {
+    history.addTag('b', [0, 5]);
+    expect(history.undo()).toBe(true);
+    expect(tree.root.children.length).toBe(0);
+
+    expect(history.redo()).toBe(true);
+    expect(tree.root.children[0].interval).toEqual([0, 5]);
+  });
+
+  it('undoes removing a tag', function() {
+    history.addTag('b', [0, 12]);
+    history.removeTag('b', [3, 6]);
+    history.undo();
+
+    expect(tree.root.children.length).toBe(1);
+    expect(tree.root.children[0].interval).toEqual([0, 12]);
+  });
+
+  it('does not record changes that change nothing', function() {
+    history.removeTag('b', [0, 5]);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('restores text and tree together after text edits', function() {
+    history.addTag('b', [6, 11]);
+    history.setText("Hello big world!");
+    expect(tree.root.children[0].interval).toEqual([10, 15]);
+
+    history.undo();
+    expect(history.text).toBe("Hello world!");
+    expect(tree.root.children[0].interval).toEqual([6, 11]);
+  });
+
+  it('coalesces consecutive typing into one undo step', function() {
+    history.insertText(5, ",");
+    time = 500;
+    history.insertText(6, " dear");
+    history.undo();
+
+    expect(history.text).toBe("Hello world!");
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('does not coalesce typing separated by a pause or a tag change', function() {
+    history.insertText(5, ",");
+    time = 5000;
+    history.insertText(6, " dear");
+    history.addTag('b', [0, 5]);
+    history.deleteRange(0, 1);
+
+    history.undo();
+    expect(history.text).toBe("Hello, dear world!");
+    history.undo();
+    history.undo();
+    expect(history.text).toBe("Hello, world!");
+  });
+
+  it('clears redo after a new change', function() {
+    history.addTag('b', [0, 5]);
+    history.undo();
+    history.addTag('i', [0, 5]);
+
+    expect(history.canRedo()).toBe(false);
+  });
+});
+
+describe('JSON serialization', function() {
+  function buildTree() {
+    const tree = new TaggedIntervalTree(0, 50);
+    tree.addTag('b', [5, 25]);
+    tree.addTag('i', [10, 30]);
+    tree.addTag('u', [40, 45]);
+    return tree;
+  }
+
+  it('round-trips the exact node hierarchy', function() {
+    const tree = buildTree();
+    const copy = TaggedIntervalTree.fromJSON(JSON.stringify(tree));
+
+    expect(copy.toString()).toBe(tree.toString());
+    expect(copy.toJSON()).toEqual(tree.toJSON());
+  });
+
+  it('round-trips a document with its text', function() {
+    const tree = new TaggedIntervalTree(0, 12);
+    tree.addTag('b', [6, 11]);
+    const doc = JSON.stringify(tree.toDocument("Hello world!"));
+    const loaded = TaggedIntervalTree.fromDocument(doc);
+
+    expect(loaded.text).toBe("Hello world!");
+    expect(loaded.tree.getFormattedText(loaded.text)).toBe("Hello <b>world</b>!");
+  });
+
+  it('rejects documents with unknown version', function() {
+    const doc = new TaggedIntervalTree(0, 2).toDocument("ab");
+    doc.version = 99;
+
+    expect(() => TaggedIntervalTree.fromDocument(doc)).toThrowError(/unsupported version 99/);
+  });
+
+  it('rejects documents whose tree does not cover the text', function() {
+    const doc = new TaggedIntervalTree(0, 5).toDocument("ab");
+
+    expect(() => TaggedIntervalTree.fromDocument(doc)).toThrowError(/does not cover text/);
+  });
+
+  it('rejects malformed JSON', function() {
+    expect(() => TaggedIntervalTree.fromJSON('{')).toThrowError(/not valid JSON/);
+  });
+
+  it('rejects nodes breaking tree properties', function() {
+    const node = (start, end, tag, children = []) => ({ interval: [start, end], tag, children });
+
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(5, 15, 'b')])))
+      .toThrowError(/root.children\[0\].*Inside property/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(5, 8, 'b'), node(1, 3, 'i')])))
+      .toThrowError(/Sorted property/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(1, 5, 'b'), node(4, 8, 'i')])))
+      .toThrowError(/Non-overlapping property/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(1, 5, 'b'), node(5, 8, 'b')])))
+      .toThrowError(/Merged property/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(1, 5, 'b', [node(2, 3, 'b')])])))
+      .toThrowError(/root.children\[0\].children\[0\].*Tag property/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [node(1, 1, 'b')])))
+      .toThrowError(/is empty/);
+    expect(() => TaggedIntervalTree.fromJSON(node(0, 10, null, [{ interval: [1, 'x'], tag: 'b' }])))
+      .toThrowError(/two integers/);
+  });
+});
+
+describe('fromHTML', function() {
+  it('reads markup made by getFormattedText', function() {
+    const tree = new TaggedIntervalTree(0, 12);
+    tree.addTag('b', [0, 11]);
+    tree.addTag('i', [6, 11]);
+    const html = tree.getFormattedText("Hello world!");
+    const parsed = TaggedIntervalTree.fromHTML(html);
+
+    expect(parsed.text).toBe("Hello world!");
+    expect(parsed.tree.toString()).toBe(tree.toString());
+  });
+
+  it('handles misnested tags', function() {
+    const parsed = TaggedIntervalTree.fromHTML("<b>ab<i>cd</b>ef</i>");
+
+    expect(parsed.text).toBe("abcdef");
+    expect(parsed.tree.hasTag('b', [0, 4])).toBe(true);
+    expect(parsed.tree.hasTag('i', [4, 6])).toBe(true);
+    expect(parsed.tree.hasTag('b', [4, 6])).toBe(false);
+  });
+
+  it('collapses repeated nested tags of the same type', function() {
+    const parsed = TaggedIntervalTree.fromHTML("a<b>b<b>c</b>d</b>e");
+
+    expect(parsed.text).toBe("abcde");
+    expect(parsed.tree.root.children.length).toBe(1);
+    expect(parsed.tree.root.children[0].interval).toEqual([1, 4]);
+    expect(parsed.tree.root.children[0].children.length).toBe(0);
+  });
+
+  it('maps strong and em, drops unknown elements and keeps their text', function() {
+    const parsed = TaggedIntervalTree.fromHTML('<span class="x"><strong>a</strong><em>b</em></span><!-- c --><script>d</script>e');
+
+    expect(parsed.text).toBe("abe");
+    expect(parsed.tree.getFormattedText(parsed.text)).toBe("<b>a</b><i>b</i>e");
+  });
+
+  it('decodes entities and line breaks', function() {
+    const parsed = TaggedIntervalTree.fromHTML("a &lt;b&gt; &amp; &#65;<br>&#x42;");
+
+    expect(parsed.text).toBe("a <b> & A\nB");
+    expect(parsed.tree.root.interval).toEqual([0, 11]);
+  });
+});
+
+describe('Safe rendering', function() {
+  it('escapes markup in the text', function() {
+    const tree = new TaggedIntervalTree(0, 21);
+    tree.addTag('b', [0, 4]);
+
+    expect(tree.getFormattedText('<img onerror="x()"> &'))
+      .toBe('<b>&lt;img</b> onerror=&quot;x()&quot;&gt; &amp;');
+  });
+
+  it('only emits allowed tags', function() {
+    const tree = new TaggedIntervalTree(0, 5);
+    tree.addTag('script', [0, 5]);
+    tree.addTag('b', [1, 3]);
+
+    expect(tree.getFormattedText("hello")).toBe("h<b>el</b>lo");
+  });
+
+  it('round-trips escaped text through fromHTML', function() {
+    const tree = new TaggedIntervalTree(0, 9);
+    tree.addTag('i', [2, 5]);
+    const parsed = TaggedIntervalTree.fromHTML(tree.getFormattedText("a <b> & c"));
+
+    expect(parsed.text).toBe("a <b> & c");
+    expect(parsed.tree.toString()).toBe(tree.toString());
+  });
+
+  it('renders DOM nodes without parsing the text as markup', function() {
+    if (typeof document === 'undefined') {
+      pending('needs a DOM, open test.html in a browser');
+    }
+    const tree = new TaggedIntervalTree(0, 12);
+    tree.addTag('b', [0, 11]);
+    tree.addTag('i', [6, 11]);
+    tree.addTag('script', [0, 2]);
+    const container = document.createElement('div');
+    tree.renderToDOM("<img> world!", container);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('script')).toBeNull();
+    expect(container.textContent).toBe("<img> world!");
+    expect(container.innerHTML).toBe("<b>&lt;img&gt; <i>world</i></b>!");
+  });
+});
+
+describe('Tag attributes', function() {
+  it('does not merge same tag with different attributes', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('a', [10, 20], { href: 'https://a.example' });
+    tree.addTag('a', [20, 30], { href: 'https://b.example' });
+
+    expect(tree.root.children.length).toBe(2);
+    expect(tree.root.children[0].attributes).toEqual({ href: 'https://a.example' });
+    expect(tree.root.children[1].attributes).toEqual({ href: 'https://b.example' });
+  });
+
+  it('merges same tag with equal attributes', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('span', [10, 20], { color: 'red' });
+    tree.addTag('span', [20, 30], { color: 'red' });
+
+    expect(tree.root.children.length).toBe(1);
+    expect(tree.root.children[0].interval).toEqual([10, 30]);
+  });
+
+  it('overrides attributes where the same tag overlaps', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('span', [0, 4], { color: 'red' });
+    tree.addTag('span', [2, 6], { color: 'blue' });
+
+    expect(tree.getFormattedText("abcdefghij"))
+      .toBe('<span style="color: red">ab</span><span style="color: blue">cdef</span>ghij');
+  });
+
+  it('overrides attributes of a tag with nested children', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('span', [0, 6], { color: 'red' });
+    tree.addTag('i', [1, 5]);
+    tree.addTag('span', [3, 8], { color: 'blue' });
+
+    expect(tree.getFormattedText("abcdefghij")).toBe(
+      '<span style="color: red">a<i>bc</i></span><i><span style="color: blue">de</span></i><span style="color: blue">fgh</span>ij');
+  });
+
+  it('keeps attributes that are not overridden', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('span', [10, 30], { color: 'red' });
+    tree.addTag('span', [20, 30], { 'font-size': '20px' });
+
+    expect(tree.root.children[1].interval).toEqual([20, 30]);
+    expect(tree.root.children[1].attributes).toEqual({ color: 'red', 'font-size': '20px' });
+  });
+
+  it('keeps attributes on the parts left after removing a tag', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('a', [10, 40], { href: 'https://a.example' });
+    tree.removeTag('a', [20, 30]);
+
+    expect(tree.root.children.map(child => child.attributes)).toEqual([
+      { href: 'https://a.example' },
+      { href: 'https://a.example' }
+    ]);
+  });
+
+  it('renders attributes and leaves out unsafe ones', function() {
+    const tree = new TaggedIntervalTree(0, 9);
+    tree.addTag('a', [0, 3], { href: 'https://x.example/?a=1&b="2"', onclick: 'x()' });
+    tree.addTag('a', [3, 6], { href: ' javascript:alert(1)' });
+    tree.addTag('span', [6, 9], { color: 'red', 'background-color': 'url(x)' });
+
+    expect(tree.getFormattedText("abcdefghi")).toBe(
+      '<a href="https://x.example/?a=1&amp;b=&quot;2&quot;">abc</a><a>def</a><span style="color: red">ghi</span>');
+  });
+
+  it('round-trips attributes through JSON and HTML', function() {
+    const tree = new TaggedIntervalTree(0, 9);
+    tree.addTag('a', [0, 3], { href: 'https://x.example' });
+    tree.addTag('span', [3, 9], { color: 'red', 'font-size': '12px' });
+    tree.addTag('b', [2, 5]);
+
+    expect(TaggedIntervalTree.fromJSON(tree.toJSON()).toString()).toBe(tree.toString());
+    const parsed = TaggedIntervalTree.fromHTML(tree.getFormattedText("abcdefghi"));
+    expect(parsed.text).toBe("abcdefghi");
+    expect(parsed.tree.root.children[0].attributes).toEqual({ href: 'https://x.example' });
+    expect(parsed.tree.hasTag('b', [2, 3])).toBe(true);
+    expect(parsed.tree.hasTag('b', [3, 5])).toBe(true);
+    const span = parsed.tree.root.children.find(child => child.tag === 'span');
+    expect(span.attributes).toEqual({ color: 'red', 'font-size': '12px' });
+  });
+});
+
+describe('Query API', function() {
+  let tree;
+
+  beforeEach(function() {
+    tree = new TaggedIntervalTree(0, 50);
+    tree.addTag('b', [10, 30]);
+    tree.addTag('i', [20, 40]);
+  });
+
+  it('gets tags at a position, outermost first', function() {
+    expect(tree.getTagsAt(5)).toEqual([]);
+    expect(tree.getTagsAt(10)).toEqual(['b']);
+    expect(tree.getTagsAt(25)).toEqual(['b', 'i']);
+    expect(tree.getTagsAt(30)).toEqual(['i']);
+    expect(tree.getTagsAt(40)).toEqual([]);
+  });
+
+  it('reports full, partial and no coverage with sub-ranges', function() {
+    expect(tree.getTagCoverage('b', [12, 28])).toEqual({ coverage: 'full', ranges: [[12, 28]] });
+    expect(tree.getTagCoverage('b', [0, 20])).toEqual({ coverage: 'partial', ranges: [[10, 20]] });
+    expect(tree.getTagCoverage('u', [0, 50])).toEqual({ coverage: 'none', ranges: [] });
+  });
+
+  it('covers a range spanning same tag nodes at different depths', function() {
+    // i is split into [20,30] inside b and [30,40] at the root
+    expect(tree.getTagCoverage('i', [20, 40])).toEqual({ coverage: 'full', ranges: [[20, 40]] });
+    expect(tree.hasTag('i', [25, 35])).toBe(true);
+  });
+
+  it('reports sub-ranges of partial coverage', function() {
+    tree.addTag('u', [0, 5]);
+    tree.addTag('u', [45, 50]);
+
+    expect(tree.getTagCoverage('u', [0, 50])).toEqual({ coverage: 'partial', ranges: [[0, 5], [45, 50]] });
+  });
+
+  it('splits the text into segments with their active tags', function() {
+    tree.addTag('a', [0, 5], { href: 'https://x.example' });
+
+    expect(tree.getSegments()).toEqual([
+      { start: 0, end: 5, tags: ['a'], attributes: { a: { href: 'https://x.example' } } },
+      { start: 5, end: 10, tags: [], attributes: {} },
+      { start: 10, end: 20, tags: ['b'], attributes: {} },
+      { start: 20, end: 30, tags: ['b', 'i'], attributes: {} },
+      { start: 30, end: 40, tags: ['i'], attributes: {} },
+      { start: 40, end: 50, tags: [], attributes: {} }
+    ]);
+  });
+});
+
+describe('toggleTag', function() {
+  it('adds a tag when the interval does not have it', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    expect(tree.toggleTag('b', [10, 20])).toBe('added');
+    expect(tree.hasTag('b', [10, 20])).toBe(true);
+  });
+
+  it('removes a tag when the whole interval has it', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [0, 50]);
+    expect(tree.toggleTag('b', [10, 20])).toBe('removed');
+
+    expect(tree.root.children.map(child => child.interval)).toEqual([[0, 10], [20, 50]]);
+  });
+
+  it('adds a tag to the uncovered parts of a partly covered interval', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('a', [15, 20], { href: 'https://x.example' });
+    expect(tree.toggleTag('a', [10, 30], { href: 'https://y.example' })).toBe('added');
+
+    expect(tree.root.children.map(child => [child.interval, child.attributes.href])).toEqual([
+      [[10, 15], 'https://y.example'],
+      [[15, 20], 'https://x.example'],
+      [[20, 30], 'https://y.example']
+    ]);
+  });
+
+  it('ignores invalid intervals', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    expect(tree.toggleTag('b', [20, 20])).toBeNull();
+  });
+
+  it('applies pending formats to typed text in one undo step', function() {
+    const tree = new TaggedIntervalTree(0, 5);
+    tree.addTag('i', [0, 5]);
+    const history = new EditHistory(tree, "Hello");
+    history.setText("Hello!", [{ tag: 'b' }, { tag: 'i', remove: true }]);
+
+    expect(tree.getFormattedText(history.text)).toBe("<i>Hello</i><b>!</b>");
+    history.undo();
+    expect(tree.getFormattedText(history.text)).toBe("<i>Hello</i>");
+  });
+});
+
+describe('clearFormatting and replaceTag', function() {
+  const text = "The quick brown fox";
+  let tree;
+
+  beforeEach(function() {
+    tree = new TaggedIntervalTree(0, text.length);
+    tree.debug = true;
+    tree.addTag('b', [0, 15]);
+    tree.addTag('i', [4, 19]);
+    tree.addTag('a', [10, 15], { href: 'https://x.example' });
+  });
+
+  it('removes every tag from an interval', function() {
+    expect(tree.clearFormatting([2, 12])).toBe(true);
+    expect(tree.getFormattedText(text)).toBe(
+      '<b>Th</b>e quick br<b><i><a href="https://x.example">own</a></i></b><i> fox</i>');
+    expect(tree.validate()).toEqual([]);
+
+    expect(tree.clearFormatting([0, 19])).toBe(true);
+    expect(tree.root.children).toEqual([]);
+    expect(tree.clearFormatting([0, 19])).toBe(false);
+    expect(tree.clearFormatting([5, 5])).toBe(false);
+  });
+
+  it('replaces a tag, keeping the attributes of each part', function() {
+    expect(tree.replaceTag('b', 'strong', [0, 19])).toBe(true);
+    expect(tree.getFormattedText(text, { minimal: true })).toBe(
+      '<strong>The <i>quick <a href="https://x.example">brown</a></i></strong><i> fox</i>');
+
+    expect(tree.replaceTag('a', 'span', [12, 19])).toBe(true);
+    expect(tree.getSegments().map(segment => [segment.start, segment.end, segment.attributes.span || null])).toEqual([
+      [0, 4, null], [4, 10, null], [10, 12, null], [12, 15, { href: 'https://x.example' }], [15, 19, null]
+    ]);
+    expect(tree.replaceTag('u', 'b', [0, 19])).toBe(false);
+    expect(tree.replaceTag('i', 'i', [0, 19])).toBe(false);
+  });
+
+  it('merges replaced parts with the new tag around them', function() {
+    tree.replaceTag('i', 'b', [4, 19]);
+    expect(tree.getTagCoverage('b', [0, 19]).ranges).toEqual([[0, 19]]);
+    expect(tree.validate()).toEqual([]);
+  });
+
+  it('undoes both in one step', function() {
+    const history = new EditHistory(tree, text);
+    const before = tree.getFormattedText(text);
+    history.clearFormatting([0, 19]);
+    history.replaceTag('b', 'strong', [0, 19]);
+    expect(tree.getFormattedText(text)).toBe(text);
+
+    history.undo();
+    expect(tree.getFormattedText(text)).toBe(before);
+  });
+});
+
+describe('validate', function() {
+  it('finds no violations in trees built by add and remove', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [5, 25]);
+    tree.addTag('i', [10, 30]);
+    tree.addTag('u', [20, 40]);
+    tree.removeTag('i', [15, 25]);
+
+    expect(tree.validate()).toEqual([]);
+  });
+
+  it('reports every violation with node path and property', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    const bold = new IntervalNode(10, 30, 'b');
+    bold.children.push(new IntervalNode(20, 40, 'i'), new IntervalNode(15, 18, 'b'));
+    tree.root.children.push(bold, new IntervalNode(30, 40, 'b'), new IntervalNode(35, 35, 'u'));
+
+    expect(tree.validate()).toEqual([
+      { path: 'root.children[0].children[0]', property: 'Inside', message: 'interval [20,40] is not inside parent [10,30]' },
+      { path: 'root.children[0].children[1]', property: 'Sorted', message: 'starts before children[0]' },
+      { path: 'root.children[0].children[1]', property: 'Tag', message: 'tag b is already used by an ancestor' },
+      { path: 'root.children[1]', property: 'Merged', message: 'has same tag as children[0] and touches it' },
+      { path: 'root.children[2]', property: 'Non-overlapping', message: 'overlaps children[1]' },
+      { path: 'root.children[2]', property: 'Interval', message: 'interval [35,35] is empty' }
+    ]);
+  });
+
+  it('throws in debug mode when an operation leaves the tree broken', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.debug = true;
+    tree.addTag('b', [10, 20]);
+    tree.root.children[0].interval[1] = 200;
+
+    expect(() => tree.addTag('i', [50, 60])).toThrowError(/Tree corrupted after addTag\(i, \[50,60\]\): root.children\[0\].*Inside property/);
+  });
+
+  it('does not validate outside debug mode', function() {
+    const tree = new TaggedIntervalTree(0, 100);
+    tree.addTag('b', [10, 20]);
+    tree.root.children[0].interval[1] = 200;
+
+    expect(() => tree.addTag('i', [50, 60])).not.toThrow();
+  });
+});
+
+describe('Markdown', function() {
+  // Tags of each segment with tags, like '0-5:b'
+  function describeSegments(tree) {
+    return tree.getSegments()
+      .filter(segment => segment.tags.length > 0)
+      .map(segment => `${segment.start}-${segment.end}:${[...segment.tags].sort().join(',')}`);
+  }
+
+  it('renders tags as Markdown', function() {
+    const tree = new TaggedIntervalTree(0, 24);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('i', [6, 11]);
+    tree.addTag('s', [12, 15]);
+    tree.addTag('code', [16, 24]);
+
+    expect(tree.render("Hello world old getTags", 'markdown')).toBe("**Hello** _world_ ~~old~~ `getTags`");
+  });
+
+  it('renders links with their title, and only the text of unsafe links', function() {
+    const tree = new TaggedIntervalTree(0, 9);
+    tree.addTag('a', [0, 4], { href: 'https://a.example/x_(y)', title: 'Say "hi"' });
+    tree.addTag('a', [5, 9], { href: 'javascript:alert(1)' });
+
+    expect(tree.render("docs evil", 'markdown')).toBe('[docs](<https://a.example/x_(y)> "Say \\"hi\\"") evil');
+  });
+
+  it('writes overlapping tags well-nested', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('b', [0, 7]);
+    tree.addTag('i', [6, 11]);
+
+    const markdown = tree.render("Hello world", 'markdown');
+    expect(markdown).toBe("**Hello _w_**_orld_");
+    expect(describeSegments(TaggedIntervalTree.fromMarkdown(markdown).tree)).toEqual(describeSegments(tree));
+  });
+
+  it('moves whitespace at the edges of emphasis outside of it', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('b', [5, 11]);
+
+    expect(tree.render("Hello world", 'markdown')).toBe("Hello **world**");
+  });
+
+  it('writes emphasis inside words with delimiters Markdown reads there, or as HTML', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('i', [2, 8]);
+    expect(tree.render("Hello world", 'markdown')).toBe("He*llo wo*rld");
+
+    tree.addTag('b', [2, 8]);
+    expect(tree.render("Hello world", 'markdown')).toBe("He<i>**llo wo**</i>rld");
+  });
+
+  it('writes tags without Markdown syntax as HTML', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('u', [0, 5]);
+    tree.addTag('span', [6, 11], { color: 'red' });
+
+    expect(tree.render("Hello world", 'markdown')).toBe('<u>Hello</u> <span style="color: red">world</span>');
+  });
+
+  it('escapes characters that Markdown would read as markup', function() {
+    const text = "# 2*3 <b> [x] &amp;";
+    const tree = new TaggedIntervalTree(0, text.length);
+
+    expect(tree.render(text, 'markdown')).toBe("\\# 2\\*3 \\<b\\> \\[x\\] \\&amp;");
+  });
+
+  it('reads emphasis, code, strike, links and escapes', function() {
+    const parsed = TaggedIntervalTree.fromMarkdown("**Hello** _world_ ~~old~~ `a*b` [docs](https://a.example \"Docs\") \\*");
+
+    expect(parsed.text).toBe("Hello world old a*b docs *");
+    expect(describeSegments(parsed.tree)).toEqual(['0-5:b', '6-11:i', '12-15:s', '16-19:code', '20-24:a']);
+    expect(parsed.tree.getSegments()[8].attributes).toEqual({ a: { href: 'https://a.example', title: 'Docs' } });
+  });
+
+  it('follows the CommonMark rules for emphasis', function() {
+    expect(describeSegments(TaggedIntervalTree.fromMarkdown("a*b*c a_b_c").tree)).toEqual(['1-2:i']);
+    expect(TaggedIntervalTree.fromMarkdown("a ** b ** c").text).toBe("a ** b ** c");
+
+    const nested = TaggedIntervalTree.fromMarkdown("***a* b**");
+    expect(nested.text).toBe("a b");
+    expect(describeSegments(nested.tree)).toEqual(['0-1:b,i', '1-3:b']);
+  });
+
+  it('matches emphasis after delimiters that close nothing', function() {
+    const html = (markdown) => {
+      const { text, tree } = TaggedIntervalTree.fromMarkdown(markdown);
+      return tree.getFormattedText(text);
+    };
+    expect(html("a* *b* c_ _d_")).toBe("a* <i>b</i> c_ <i>d</i>");
+    expect(html("x** y **z** w*")).toBe("x** y <b>z</b> w*");
+    expect(html("_a *b_ c*")).toBe("<i>a *b</i> c*");
+    expect(html("~~a~ ~~b~~")).toBe("~~a~ <s>b</s>");
+
+    const unmatched = "_a ".repeat(1000) + "a* ".repeat(1000);
+    expect(html(unmatched + "*b*")).toBe(unmatched + "<i>b</i>");
+  });
+
+  it('reads inline HTML and autolinks, but not unsafe links', function() {
+    const parsed = TaggedIntervalTree.fromMarkdown("<u>x</u> <strong>y</strong> <https://a.example> [z](javascript:alert(1))");
+
+    expect(parsed.text).toBe("x y https://a.example z");
+    expect(describeSegments(parsed.tree)).toEqual(['0-1:u', '2-3:b', '4-21:a']);
+  });
+
+  it('round-trips text with Markdown characters and overlapping tags', function() {
+    const text = "a *b* <c> _d_ `e` [f]!";
+    const tree = new TaggedIntervalTree(0, text.length);
+    tree.addTag('b', [0, 9]);
+    tree.addTag('i', [6, 17]);
+    tree.addTag('code', [2, 5]);
+    tree.addTag('a', [18, 22], { href: '/f' });
+
+    const parsed = TaggedIntervalTree.fromMarkdown(tree.render(text, 'markdown'));
+    expect(parsed.text).toBe(text);
+    expect(describeSegments(parsed.tree)).toEqual(describeSegments(tree));
+  });
+});
+
+describe('Renderers', function() {
+  afterEach(function() {
+    delete TaggedIntervalTree.renderers.upper;
+  });
+
+  it('renders html like getFormattedText', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('b', [0, 5]);
+
+    expect(tree.render("Hello world")).toBe(tree.getFormattedText("Hello world"));
+    expect(tree.render("Hello world", 'html')).toBe("<b>Hello</b> world");
+  });
+
+  it('uses registered renderers', function() {
+    TaggedIntervalTree.registerRenderer('upper', {
+      render: (tree, text) => tree.getSegments()
+        .map(segment => {
+          const part = text.substring(segment.start, segment.end);
+          return segment.tags.includes('b') ? part.toUpperCase() : part;
+        })
+        .join('')
+    });
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('b', [0, 5]);
+
+    expect(tree.render("Hello world", 'upper')).toBe("HELLO world");
+  });
+
+  it('nests html like the tree by default', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('i', [0, 3]);
+    tree.addTag('u', [0, 8]);
+
+    expect(tree.render("0123456789", 'html')).toBe("<b><i><u>012</u></i><u>34</u></b><u>567</u>89");
+  });
+
+  it('uses fewer tags with the minimal option, keeping output well-nested', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('i', [0, 3]);
+    tree.addTag('u', [0, 8]);
+
+    expect(tree.render("0123456789", 'html', { minimal: true })).toBe("<u><b><i>012</i>34</b>567</u>89");
+    expect(tree.getFormattedText("0123456789", { minimal: true })).toBe("<u><b><i>012</i>34</b>567</u>89");
+  });
+
+  it('closes and reopens an element rather than splitting several longer ones', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('s', [0, 4]);
+    tree.addTag('b', [2, 10]);
+    tree.addTag('i', [2, 10]);
+
+    expect(tree.render("0123456789", 'html', { minimal: true })).toBe("<s>01</s><b><i><s>23</s>456789</i></b>");
+  });
+
+  it('splits overlapping tags of the minimal option by their attributes', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('a', [0, 6], { href: 'https://a.example' });
+    tree.addTag('a', [6, 10], { href: 'https://b.example' });
+    tree.addTag('b', [4, 8]);
+
+    expect(tree.render("0123456789", 'html', { minimal: true })).toBe(
+      '<a href="https://a.example">0123<b>45</b></a><a href="https://b.example"><b>67</b>89</a>');
+  });
+
+  it('renders into a DOM container', function() {
+    if (typeof document === 'undefined') {
+      pending('needs a DOM, open test.html in a browser');
+    }
+    const tree = new TaggedIntervalTree(0, 10);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('u', [0, 8]);
+    const container = document.createElement('div');
+
+    expect(tree.render("0123456789", 'dom', { container, minimal: true })).toBe(container);
+    expect(container.innerHTML).toBe("<u><b>01234</b>567</u>89");
+    expect(() => tree.render("0123456789", 'dom')).toThrowError('The dom renderer needs options.container');
+  });
+
+  it('renders ANSI escape codes for terminals', function() {
+    const tree = new TaggedIntervalTree(0, 14);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('i', [3, 5]);
+    tree.addTag('span', [6, 9], { color: '#f00' });
+    tree.addTag('a', [10, 14], { href: 'https://a.example' });
+
+    expect(tree.render("Hello red link", 'ansi')).toBe(
+      "\x1b[1mHel\x1b[0m\x1b[1;3mlo\x1b[0m \x1b[38;2;255;0;0mred\x1b[0m " +
+      "\x1b]8;;https://a.example\x1b\\link\x1b]8;;\x1b\\");
+  });
+
+  it('replaces control characters in ANSI output', function() {
+    const tree = new TaggedIntervalTree(0, 9);
+    tree.addTag('b', [0, 9]);
+
+    expect(tree.render("a\x1b[31mb\nc", 'ansi')).toBe("\x1b[1ma\ufffd[31mb\nc\x1b[0m");
+  });
+
+  it('renders plain text with a span per run of each tag', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('b', [0, 5]);
+    tree.addTag('i', [3, 11]);
+    tree.addTag('b', [5, 8]);
+    tree.addTag('a', [9, 11], { href: '/x' });
+
+    expect(tree.render("Hello world", 'plain')).toEqual({
+      text: "Hello world",
+      spans: [
+        { start: 0, end: 8, tag: 'b' },
+        { start: 3, end: 11, tag: 'i' },
+        { start: 9, end: 11, tag: 'a', attributes: { href: '/x' } }
+      ]
+    });
+  });
+
+  it('throws for unknown formats and renderers without render', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+
+    expect(() => tree.render("Hello world", 'rtf')).toThrowError('Unknown format: rtf');
+    expect(() => TaggedIntervalTree.registerRenderer('upper', {})).toThrowError(/must have a render\(tree, text\) method/);
+  });
+});
+
+describe('Collaborative editing', function() {
+  function documentOf(text) {
+    return { text, tree: new TaggedIntervalTree(0, text.length) };
+  }
+
+  // Apply a then b', and b then a', and expect the same document
+  function expectConvergence(text, a, b) {
+    const [aPrime, bPrime] = Operation.transform(a, b);
+    const first = Operation.apply(documentOf(text), a);
+    Operation.apply(first, bPrime);
+    const second = Operation.apply(documentOf(text), b);
+    Operation.apply(second, aPrime);
+
+    expect(first.text).toBe(second.text);
+    expect(first.tree.getSegments()).toEqual(second.tree.getSegments());
+    return first;
+  }
+
+  // Deliver all messages, in the order of clients
+  function deliverAll(server, clients) {
+    let delivered = true;
+    while (delivered) {
+      delivered = server.deliver();
+      for (const client of clients) {
+        delivered = client.deliver() || delivered;
+      }
+    }
+  }
+
+  it('gives inserted text exactly the tags of its operation', function() {
+    const doc = documentOf("Hello world");
+    doc.tree.addTag('b', [0, 5]);
+
+    Operation.apply(doc, { type: 'insertText', position: 5, text: "!", tags: { i: null } });
+    Operation.apply(doc, { type: 'insertText', position: 3, text: "-", tags: { b: null } });
+
+    expect(doc.text).toBe("Hel-lo! world");
+    expect(doc.tree.getFormattedText(doc.text)).toBe("<b>Hel-lo</b><i>!</i> world");
+  });
+
+  it('throws for invalid operations', function() {
+    expect(() => Operation.apply(documentOf("Hello"), { type: 'deleteRange', start: 2, end: 9 }))
+      .toThrowError(/Invalid operation .*: start and end must be integers/);
+    expect(() => Operation.apply(documentOf("Hello"), { type: 'bold' })).toThrowError(/unknown type/);
+  });
+
+  it('orders concurrent inserts at the same position', function() {
+    const doc = expectConvergence("ab",
+      { type: 'insertText', position: 1, text: "X" },
+      { type: 'insertText', position: 1, text: "Y" });
+
+    expect(doc.text).toBe("aXYb");
+  });
+
+  it('keeps text inserted inside deleted text', function() {
+    const doc = expectConvergence("Hello world",
+      { type: 'deleteRange', start: 2, end: 9 },
+      { type: 'insertText', position: 5, text: "!" });
+
+    expect(doc.text).toBe("He!ld");
+  });
+
+  it('tags text inserted inside a concurrently tagged interval', function() {
+    const doc = expectConvergence("Hello world",
+      { type: 'addTag', tag: 'b', start: 0, end: 5 },
+      { type: 'insertText', position: 2, text: "XY" });
+
+    expect(doc.tree.getFormattedText(doc.text)).toBe("<b>HeXYllo</b> world");
+  });
+
+  it('resolves concurrent tag changes in favour of the first operation', function() {
+    let doc = expectConvergence("Hello world",
+      { type: 'addTag', tag: 'b', start: 0, end: 5 },
+      { type: 'removeTag', tag: 'b', start: 3, end: 8 });
+    expect(doc.tree.getFormattedText(doc.text)).toBe("<b>Hello</b> world");
+
+    doc = expectConvergence("Hello world",
+      { type: 'addTag', tag: 'a', start: 0, end: 5, attributes: { href: '/a' } },
+      { type: 'addTag', tag: 'a', start: 3, end: 8, attributes: { href: '/b', title: 'B' } });
+    expect(doc.tree.getSegments().filter(segment => segment.tags.includes('a')).map(segment => segment.attributes.a)).toEqual([
+      { href: '/a' }, { href: '/a', title: 'B' }, { href: '/b', title: 'B' }
+    ]);
+  });
+
+  it('makes clients of a server converge', function() {
+    const server = new CollaborationServer("Hello world");
+    const clients = [new CollaborationClient(server), new CollaborationClient(server), new CollaborationClient(server)];
+
+    clients[0].addTag('b', [0, 5]);
+    clients[0].insertText(11, "!");
+    clients[1].deleteRange(3, 8);
+    clients[2].insertText(6, "big ");
+    clients[2].addTag('i', [6, 15]);
+    deliverAll(server, clients);
+
+    for (const client of clients) {
+      expect(client.document.text).toBe(server.document.text);
+      expect(client.document.tree.getSegments()).toEqual(server.document.tree.getSegments());
+    }
+    expect(server.document.tree.getFormattedText(server.document.text)).toBe("<b>Hel</b><i>big rld</i>!");
+  });
+
+  it('converges when exclusive tags are added to the same text', function() {
+    const doc = expectConvergence("Hello world", { type: 'addTag', tag: 'sub', start: 0, end: 5 }, { type: 'addTag', tag: 'sup', start: 3, end: 8 });
+    expect(doc.tree.getFormattedText(doc.text)).toBe("<sub>Hello</sub><sup> wo</sup>rld");
+
+    const typed = expectConvergence("Hello world",
+      { type: 'insertText', position: 4, text: "!", tags: { sup: null } }, { type: 'addTag', tag: 'sub', start: 0, end: 5 });
+    expect(typed.tree.getFormattedText(typed.text)).toBe("<sub>Hell!o</sub> world");
+  });
+
+  it('removes exclusive tags of an added tag removed by a concurrent operation', function() {
+    const server = new CollaborationServer("Hello world");
+    const clients = [new CollaborationClient(server), new CollaborationClient(server)];
+    clients[0].addTag('sup', [0, 11]);
+    deliverAll(server, clients);
+
+    clients[0].addTag('sub', [0, 5]);
+    clients[1].removeTag('sub', [0, 8]); // Reaches the server last, so it wins
+    deliverAll(server, clients);
+
+    expect(server.document.tree.getFormattedText(server.document.text)).toBe("Hello<sup> world</sup>");
+    for (const client of clients) {
+      expect(client.document.tree.getSegments()).toEqual(server.document.tree.getSegments());
+    }
+  });
+});
+
+describe('Blocks', function() {
+  const text = "Title\nfirst item\nsecond item\nSome text";
+  let tree;
+
+  beforeEach(function() {
+    tree = new TaggedIntervalTree(0, text.length);
+    tree.blocks = new BlockList(text);
+  });
+
+  it('has a paragraph per line', function() {
+    expect(tree.blocks.getBlocks()).toEqual([
+      { start: 0, end: 5, type: 'p' },
+      { start: 6, end: 16, type: 'p' },
+      { start: 17, end: 28, type: 'p' },
+      { start: 29, end: 38, type: 'p' }
+    ]);
+  });
+
+  it('renders block elements, grouping list items', function() {
+    tree.setBlockType('h1', [2, 2]);
+    expect(tree.setBlockType('ol', [8, 20])).toBe(2);
+    tree.addTag('b', [0, 3]);
+
+    expect(tree.getFormattedText(text)).toBe(
+      "<h1><b>Tit</b>le</h1><ol><li>first item</li><li>second item</li></ol><p>Some text</p>");
+  });
+
+  it('keeps tags inside blocks', function() {
+    tree.addTag('i', [2, 12]);
+
+    expect(tree.getTagsAt(5)).toEqual([]);
+    expect(tree.getTagCoverage('i', [2, 12]).coverage).toBe('full');
+    expect(tree.getFormattedText(text)).toBe("<p>Ti<i>tle</i></p><p><i>first </i>item</p><p>second item</p><p>Some text</p>");
+    expect(tree.toggleTag('i', [2, 12])).toBe('removed');
+  });
+
+  it('splits and joins blocks as text changes', function() {
+    tree.addTag('b', [6, 16]);
+    tree.setBlockType('ul', [6, 16]);
+
+    tree.insertText(11, 5, "\nnew\n");
+    expect(tree.blocks.toJSON()).toEqual(['p', 'ul', 'ul', 'ul', 'p', 'p']);
+    expect(tree.getFormattedText(text.substring(0, 11) + "\nnew\n" + text.substring(11))).toBe(
+      "<p>Title</p><ul><li><b>first</b></li><li><b>new</b></li><li><b> item</b></li></ul><p>second item</p><p>Some text</p>");
+
+    tree.deleteRange(5, 12);
+    expect(tree.blocks.toJSON()).toEqual(['p', 'ul', 'p', 'p']);
+    expect(() => tree.insertText(0, 1)).toThrowError(/needs the inserted text/);
+  });
+
+  it('applies formats to text inserted with the history', function() {
+    const history = new EditHistory(tree, text);
+    history.insertText(5, "!\n", [{ tag: 'i' }]);
+
+    expect(history.text).toBe("Title!\n\nfirst item\nsecond item\nSome text");
+    expect(tree.getFormattedText(history.text)).toBe("<p>Title<i>!</i></p><p></p><p>first item</p><p>second item</p><p>Some text</p>");
+  });
+
+  it('undoes block changes with the history', function() {
+    const history = new EditHistory(tree, text);
+    history.setBlockType('blockquote', [20, 35]);
+    expect(tree.getFormattedText(text)).toBe(
+      "<p>Title</p><p>first item</p><blockquote><p>second item</p><p>Some text</p></blockquote>");
+
+    history.undo();
+    expect(tree.blocks.toJSON()).toEqual(['p', 'p', 'p', 'p']);
+    history.setText("Title\n\nSome text");
+    expect(tree.blocks.getBlocks().length).toBe(3);
+  });
+
+  it('stores blocks in documents', function() {
+    tree.setBlockType('h2', [0, 0]);
+    const doc = tree.toDocument(text);
+    expect(doc.blocks).toEqual(['h2', 'p', 'p', 'p']);
+    expect(TaggedIntervalTree.fromDocument(doc).tree.getFormattedText(text)).toBe(tree.getFormattedText(text));
+
+    expect(() => TaggedIntervalTree.fromDocument({ ...doc, blocks: ['h2'] })).toThrowError(/Invalid blocks/);
+    expect(() => tree.setBlockType('table', [0, 0])).toThrowError('Unknown block type: table');
+  });
+});
+
+describe('Editing in the DOM', function() {
+  const text = "Hello world\n\nlast";
+  let tree;
+  let container;
+
+  beforeEach(function() {
+    if (typeof document === 'undefined') {
+      pending('needs a DOM, open test.html in a browser');
+    }
+    tree = new TaggedIntervalTree(0, text.length);
+    tree.blocks = new BlockList(text);
+    tree.setBlockType('ul', [0, 0]);
+    tree.addTag('b', [3, 8]);
+    container = document.createElement('div');
+    tree.render(text, 'dom', { container });
+  });
+
+  it('gives empty blocks a line break', function() {
+    expect(container.innerHTML).toBe("<ul><li>Hel<b>lo wo</b>rld</li></ul><p><br></p><p>last</p>");
+  });
+
+  it('maps DOM positions to positions in the text and back', function() {
+    const bold = container.querySelector('b').firstChild;
+    const empty = container.querySelectorAll('p')[0];
+
+    expect(DOMRenderer.offsetOf(container, bold, 2)).toBe(5);
+    expect(DOMRenderer.offsetOf(container, empty, 0)).toBe(12);
+    expect(DOMRenderer.offsetOf(container, container, container.childNodes.length)).toBe(text.length);
+    expect(DOMRenderer.positionAt(container, 5)).toEqual({ node: bold, offset: 2 });
+    expect(DOMRenderer.positionAt(container, 12)).toEqual({ node: empty, offset: 0 });
+
+    for (let position = 0; position <= text.length; position++) {
+      const { node, offset } = DOMRenderer.positionAt(container, position);
+      expect(DOMRenderer.offsetOf(container, node, offset)).toBe(position);
+    }
+  });
+
+  it('reads the text back with line breaks between blocks', function() {
+    expect(DOMRenderer.textOf(container)).toBe(text);
+  });
+});
+
+describe('CommandRegistry', function() {
+  let commands;
+  let context;
+
+  beforeEach(function() {
+    commands = new CommandRegistry();
+    context = { ran: [], selection: [0, 0] };
+    commands.register({ id: 'bold', label: 'Bold', key: 'Ctrl+B', run: c => c.ran.push('bold') });
+    commands.register({
+      id: 'clear',
+      label: 'Clear formatting',
+      key: 'ctrl+\\',
+      run: c => c.ran.push('clear'),
+      isEnabled: c => c.selection[0] < c.selection[1]
+    });
+    commands.register({ id: 'redo', label: 'Redo', key: 'shift+mod+z', run: c => c.ran.push('redo') });
+  });
+
+  it('checks commands when registering them', function() {
+    expect(() => commands.register({ label: 'No id', run() {} })).toThrowError('Command must have an id');
+    expect(() => commands.register({ id: 'x' })).toThrowError('Command x must have a run(context) method');
+    expect(() => commands.register({ id: 'bold', run() {} })).toThrowError('Command bold is already registered');
+    expect(() => commands.bindKey('Ctrl+J', 'missing')).toThrowError('Unknown command: missing');
+    expect(commands.get('bold').label).toBe('Bold');
+    expect(commands.get('missing')).toBeNull();
+  });
+
+  it('writes keys in one form', function() {
+    expect(CommandRegistry.normalizeKey('shift+mod+z')).toBe('Ctrl+Shift+Z');
+    expect(CommandRegistry.normalizeKey('Alt + Cmd + 1')).toBe('Ctrl+Alt+1');
+    expect(CommandRegistry.normalizeKey('Ctrl++')).toBe('Ctrl++');
+    expect(CommandRegistry.normalizeKey('Escape')).toBe('Escape');
+    expect(() => CommandRegistry.normalizeKey('Hyper+A')).toThrowError(/Invalid key: Hyper\+A/);
+    expect(() => CommandRegistry.normalizeKey('Ctrl+')).toThrowError(/Invalid key/);
+
+    expect(commands.keysFor('redo')).toEqual(['Ctrl+Shift+Z']);
+    expect(CommandRegistry.eventKey({ key: 'Z', code: 'KeyZ', metaKey: true, shiftKey: true })).toBe('Ctrl+Shift+Z');
+    expect(CommandRegistry.eventKey({ key: '*', code: 'Digit8', ctrlKey: true, shiftKey: true })).toBe('Ctrl+Shift+8');
+    expect(CommandRegistry.eventKey({ key: ' ', code: 'Space' })).toBe('Space');
+    expect(CommandRegistry.eventKey({ key: '', ctrlKey: true })).toBeNull();
+    expect(CommandRegistry.eventKey({ code: 'Unknown' })).toBeNull();
+    expect(CommandRegistry.eventKey({ key: 'Unidentified', code: '' })).toBeNull();
+  });
+
+  it('runs commands only when they are enabled', function() {
+    expect(commands.execute('clear', context)).toBe(false);
+    expect(commands.execute('missing', context)).toBe(false);
+    context.selection = [1, 4];
+    expect(commands.execute('clear', context)).toBe(true);
+    expect(commands.execute('bold', context)).toBe(true);
+    expect(context.ran).toEqual(['clear', 'bold']);
+    expect(commands.isActive('bold', context)).toBe(false);
+  });
+
+  it('runs the command bound to a key event', function() {
+    const event = (key, code, modifiers = {}) => Object.assign({ key, code, preventDefault: jasmine.createSpy('preventDefault') }, modifiers);
+
+    const bold = event('b', 'KeyB', { ctrlKey: true });
+    expect(commands.handleKeyEvent(bold, context)).toBe(true);
+    expect(bold.preventDefault).toHaveBeenCalled();
+
+    // Bound but disabled: the key does nothing
+    const clear = event('\\', 'Backslash', { ctrlKey: true });
+    expect(commands.handleKeyEvent(clear, context)).toBe(true);
+    expect(clear.preventDefault).toHaveBeenCalled();
+
+    const typed = event('b', 'KeyB');
+    expect(commands.handleKeyEvent(typed, context)).toBe(false);
+    expect(typed.preventDefault).not.toHaveBeenCalled();
+
+    // Keys without a name, like those of autofill or some IMEs, are not commands
+    const unnamed = event(undefined, '', { ctrlKey: true });
+    expect(commands.handleKeyEvent(unnamed, context)).toBe(false);
+    expect(unnamed.preventDefault).not.toHaveBeenCalled();
+    expect(context.ran).toEqual(['bold']);
+  });
+
+  it('changes keybindings with a keymap', function() {
+    commands.setKeymap({ 'Ctrl+J': 'bold', 'ctrl+b': null, 'Ctrl+Y': 'redo' });
+    expect(commands.keysFor('bold')).toEqual(['Ctrl+J']);
+    expect(commands.keysFor('redo')).toEqual(['Ctrl+Shift+Z', 'Ctrl+Y']);
+    expect(commands.keymap['Ctrl+B']).toBeUndefined();
+
+    // Binding a key again replaces its command
+    commands.bindKey('Ctrl+J', 'redo');
+    expect(commands.keysFor('bold')).toEqual([]);
+    expect(() => commands.setKeymap({ 'Ctrl+K': 'missing' })).toThrowError('Unknown command: missing');
+  });
+
+  it('finds commands for a palette', function() {
+    commands.register({ id: 'block.p', label: 'Paragraph', run() {} });
+    expect(commands.search('').map(command => command.id)).toEqual(['bold', 'clear', 'redo', 'block.p']);
+    expect(commands.search('re').map(command => command.id)).toEqual(['redo']);
+    expect(commands.search('a').map(command => command.id)).toEqual(['clear', 'block.p']);
+    expect(commands.search('form cl').map(command => command.id)).toEqual(['clear']);
+    expect(commands.search('block').map(command => command.id)).toEqual(['block.p']);
+  });
+});
+
+describe('TagRegistry', function() {
+  let registered;
+
+  beforeEach(function() {
+    registered = TaggedIntervalTree.tags;
+    TaggedIntervalTree.tags = new TagRegistry(registered.types);
+  });
+
+  afterEach(function() {
+    TaggedIntervalTree.tags = registered;
+  });
+
+  it('checks tag types when registering them', function() {
+    const tags = TaggedIntervalTree.tags;
+    expect(() => tags.register({ html: 'mark' })).toThrowError('Tag type must have a tag');
+    expect(() => tags.register({ tag: 'x', html: 'a onclick' })).toThrowError('Tag x has an invalid HTML element: a onclick');
+    expect(() => tags.register({ tag: 'x', markdown: '==' })).toThrowError("Tag x must have Markdown delimiters like ['**'], 'code' or 'link'");
+    expect(() => tags.register({ tag: 'x', exclusive: ['x'] })).toThrowError('Tag x can not exclude itself');
+
+    expect(tags.register({ tag: 'x' })).toEqual({ tag: 'x', html: null, markdown: null, exclusive: [], spansBlocks: false });
+    expect(tags.get('sub').html).toBe('sub');
+    expect(tags.exclusiveWith('sup')).toEqual(['sub']);
+  });
+
+  it('removes the tags a tag excludes where it is added', function() {
+    const tree = new TaggedIntervalTree(0, 20);
+    tree.addTag('sub', [0, 10]);
+    tree.addTag('b', [0, 20]);
+    tree.addTag('sup', [5, 15]);
+    expect(tree.getTagCoverage('sub', [0, 20]).ranges).toEqual([[0, 5]]);
+    expect(tree.getTagCoverage('sup', [0, 20]).ranges).toEqual([[5, 15]]);
+    expect(tree.getTagCoverage('b', [0, 20]).coverage).toBe('full');
+
+    expect(tree.toggleTag('sub', [8, 12])).toBe('added');
+    expect(tree.getTagCoverage('sub', [0, 20]).ranges).toEqual([[0, 5], [8, 12]]);
+    expect(tree.getTagCoverage('sup', [0, 20]).ranges).toEqual([[5, 8], [12, 15]]);
+  });
+
+  it('renders tags as their HTML element and Markdown form', function() {
+    TaggedIntervalTree.tags.register({ tag: 'highlight', html: 'mark' });
+    TaggedIntervalTree.tags.register({ tag: 'b', html: 'strong', markdown: ['__'] });
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.addTag('highlight', [0, 5]);
+    tree.addTag('b', [6, 11]);
+
+    expect(tree.getFormattedText("Hello world")).toBe("<mark>Hello</mark> <strong>world</strong>");
+    expect(tree.render("Hello world", 'markdown')).toBe("<mark>Hello</mark> __world__");
+    tree.addTag('note', [3, 8]);
+    expect(tree.getFormattedText("Hello world")).toBe("<mark>Hello</mark> <strong>world</strong>");
+    expect(TaggedIntervalTree.fromHTML("<mark>Hello</mark> world").tree.getTagsAt(0)).toEqual(['highlight']);
+  });
+
+  it('reads tags back from their Markdown delimiters', function() {
+    TaggedIntervalTree.tags.register({ tag: 'highlight', html: 'mark', markdown: ['~~~'] });
+    TaggedIntervalTree.tags.register({ tag: 'i', html: 'i', markdown: ['*'] });
+    const tree = new TaggedIntervalTree(0, 15);
+    tree.addTag('highlight', [0, 5]);
+    tree.addTag('i', [6, 15]);
+    tree.addTag('s', [10, 15]);
+
+    const markdown = tree.render("Hello big world", 'markdown');
+    expect(markdown).toBe("~~~Hello~~~ *big ~~world~~*");
+    const parsed = new MarkdownParser().parse(markdown);
+    expect(parsed.text).toBe("Hello big world");
+    expect(parsed.tree.getSegments().filter(segment => segment.tags.length > 0).map(segment => [segment.start, segment.end, segment.tags])).toEqual([
+      [0, 5, ['highlight']], [6, 10, ['i']], [10, 15, ['i', 's']]
+    ]);
+    // Delimiters of tags that are not registered any more are text
+    expect(new MarkdownParser().parse("_a_ __b__").tree.getTagsAt(0)).toEqual([]);
+    expect(new MarkdownParser().parse("_a_ __b__").tree.getTagsAt(4)).toEqual(['b']);
+    expect(() => TaggedIntervalTree.tags.register({ tag: 'u', markdown: ['~'] }))
+      .toThrowError('Tag u can not use the Markdown delimiter ~ of s');
+  });
+
+  it('keeps tags inside blocks, unless they span blocks', function() {
+    TaggedIntervalTree.tags.register({ tag: 'comment', html: 'mark', spansBlocks: true });
+    const tree = new TaggedIntervalTree(0, 8);
+    tree.blocks = new BlockList("one\ntwo!");
+    tree.addTag('comment', [1, 6]);
+    tree.addTag('b', [1, 6]);
+    expect(tree.root.children.map(child => [child.tag, child.interval])).toEqual([['comment', [1, 6]]]);
+    expect(tree.root.children[0].children.map(child => child.interval)).toEqual([[1, 3], [4, 6]]);
+
+    tree.insertText(2, 1, "\n");
+    expect(tree.getTagsAt(2)).toEqual(['comment']);
+    expect(tree.getFormattedText("on\ne\ntwo!")).toBe(
+      "<p>o<mark><b>n</b></mark></p><p><mark><b>e</b></mark></p><p><mark><b>tw</b></mark>o!</p>");
+  });
+});
+
+describe('Clipboard', function() {
+  const text = "Title\nSome bold text\n\nlast";
+  let tree;
+
+  beforeEach(function() {
+    tree = new TaggedIntervalTree(0, text.length);
+    tree.debug = true;
+    tree.blocks = new BlockList(text);
+    tree.setBlockType('h1', [0, 0]);
+    tree.setBlockType('ul', [6, 6]);
+    tree.addTag('i', [0, 15]);
+    tree.addTag('b', [11, 15]);
+  });
+
+  it('extracts a range as a document starting at 0', function() {
+    const copied = tree.extractRange([2, 13], text);
+    expect(copied.text).toBe("tle\nSome bo");
+    expect(copied.tree.root.interval).toEqual([0, 11]);
+    expect(copied.tree.blocks.toJSON()).toEqual(['h1', 'ul']);
+    expect(copied.tree.getFormattedText(copied.text, { minimal: true })).toBe(
+      "<h1><i>tle</i></h1><ul><li><i>Some <b>bo</b></i></li></ul>");
+    expect(copied.tree.validate()).toEqual([]);
+
+    expect(tree.extractRange([30, 40], text).text).toBe('');
+  });
+
+  it('inserts a document with its own tags, merging them with the same tags around it', function() {
+    const plain = "abcdef";
+    const target = new TaggedIntervalTree(0, plain.length);
+    target.debug = true;
+    target.addTag('b', [0, 3]);
+    target.addTag('u', [3, 6]);
+
+    const pasted = TaggedIntervalTree.fromHTML("<b>XY</b>Z");
+    target.insertDocument(3, pasted);
+    const result = "abcXYZdef";
+    expect(target.getFormattedText(result)).toBe("<b>abcXY</b>Z<u>def</u>");
+    expect(target.root.children.length).toBe(2);
+  });
+
+  it('gives pasted lines their block types, unless they share a line with text that was there', function() {
+    const copied = tree.extractRange([0, 10], text);
+    const history = new EditHistory(tree, text);
+
+    // Into the empty line: both pasted lines keep their type
+    history.insertDocument(21, copied);
+    expect(history.text).toBe("Title\nSome bold text\nTitle\nSome\nlast");
+    expect(tree.blocks.toJSON()).toEqual(['h1', 'ul', 'h1', 'ul', 'p']);
+
+    // Inside the last line: the pasted lines share it with the text around them
+    history.insertDocument(35, copied);
+    expect(history.text.split('\n').slice(4)).toEqual(["lasTitle", "Somet"]);
+    expect(tree.blocks.toJSON()).toEqual(['h1', 'ul', 'h1', 'ul', 'p', 'p']);
+
+    history.seal();
+    history.undo();
+    expect(history.text).toBe(text);
+  });
+
+  it('reads block elements from HTML', function() {
+    const html = tree.getFormattedText(text);
+    const { text: readText, tree: read } = TaggedIntervalTree.fromHTML(`${html}\n<blockquote><p>a<br>b</p></blockquote>`, { blocks: true });
+
+    expect(readText).toBe("Title\nSome bold text\nlast\na\nb");
+    expect(read.blocks.toJSON()).toEqual(['h1', 'ul', 'p', 'blockquote', 'blockquote']);
+    expect(read.getTagCoverage('b', [0, readText.length]).ranges).toEqual([[11, 15]]);
+    expect(TaggedIntervalTree.fromHTML("a<br>b").tree.blocks).toBeNull();
+  });
+});
+
+describe('Document storage', function() {
+  // In-memory stand-in for localStorage
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      get length() {
+        return items.size;
+      },
+      key: index => index < items.size ? [...items.keys()][index] : null,
+      getItem: key => items.has(key) ? items.get(key) : null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    };
+  }
+
+  function formattedDocument(text) {
+    const tree = new TaggedIntervalTree(0, text.length);
+    tree.blocks = new BlockList(text);
+    tree.setBlockType('h1', [0, 0]);
+    tree.addTag('b', [0, 3]);
+    return { text, tree };
+  }
+
+  let storage;
+  let time;
+  let store;
+
+  beforeEach(function() {
+    storage = memoryStorage();
+    time = 1000;
+    store = new DocumentStore(new WebStorageBackend(storage, 'docs:'), { now: () => time });
+  });
+
+  it('saves, lists, renames and deletes documents', async function() {
+    const first = await store.save({ name: 'First', ...formattedDocument("One\ntwo") });
+    time = 2000;
+    const second = await store.save({ name: 'Second', ...formattedDocument("Three") });
+    expect(first.id).not.toBe(second.id);
+    expect(await store.list()).toEqual([
+      { id: second.id, name: 'Second', modified: 2000 },
+      { id: first.id, name: 'First', modified: 1000 }
+    ]);
+
+    const opened = await store.open(first.id);
+    expect(opened.name).toBe('First');
+    expect(opened.tree.getFormattedText(opened.text)).toBe("<h1><b>One</b></h1><p>two</p>");
+
+    time = 3000;
+    await store.rename(first.id, 'Renamed');
+    expect((await store.list())[0]).toEqual({ id: first.id, name: 'Renamed', modified: 3000 });
+
+    await store.delete(second.id);
+    expect((await store.list()).map(saved => saved.name)).toEqual(['Renamed']);
+    await expectAsync(store.open(second.id)).toBeRejectedWithError(`Unknown document: ${second.id}`);
+    expect(storage.length).toBe(1);
+  });
+
+  it('falls back to localStorage when IndexedDB can not be opened', async function() {
+    const blocked = { open() { throw new Error('IndexedDB is blocked'); } };
+    const connected = await DocumentStore.connect({ indexedDB: blocked, localStorage: storage });
+    expect(connected.backend instanceof WebStorageBackend).toBe(true);
+
+    await connected.save({ name: 'Saved', ...formattedDocument("text") });
+    expect(storage.key(0).startsWith(`${DocumentStore.DATABASE_NAME}:`)).toBe(true);
+
+    await expectAsync(DocumentStore.connect({ indexedDB: null, localStorage: null }))
+      .toBeRejectedWithError(/No storage for documents/);
+  });
+
+  it('saves once there were no changes for the delay', function() {
+    jasmine.clock().install();
+    try {
+      const document = { id: 'a', name: 'A', ...formattedDocument("text") };
+      const autosave = new Autosave(store, () => document, { delay: 500 });
+      autosave.markSaved();
+      spyOn(autosave, 'flush').and.returnValue(Promise.resolve(null));
+
+      expect(autosave.changed()).toBe(false);
+      document.tree.addTag('i', [0, 2]);
+      expect(autosave.changed()).toBe(true);
+      jasmine.clock().tick(400);
+      expect(autosave.changed()).toBe(true);
+      jasmine.clock().tick(400);
+      expect(autosave.flush).not.toHaveBeenCalled();
+      jasmine.clock().tick(100);
+      expect(autosave.flush).toHaveBeenCalledTimes(1);
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('keeps drafts of unsaved changes for recovery', async function() {
+    const drafts = memoryStorage();
+    const history = new EditHistory(formattedDocument("text").tree, "text");
+    const current = () => ({ id: 'a', name: 'A', text: history.text, tree: history.tree });
+    const saved = [];
+    const autosave = new Autosave(store, current, { drafts, delay: 60000, onSave: record => saved.push(record) });
+    autosave.markSaved();
+
+    history.insertText(4, " more");
+    expect(autosave.changed()).toBe(true);
+    expect(autosave.isDirty()).toBe(true);
+
+    // A new session finds the draft
+    const recovered = new Autosave(store, current, { drafts }).recover();
+    expect(recovered.map(draft => [draft.id, draft.name, draft.text])).toEqual([['a', 'A', "text more"]]);
+    expect(recovered[0].tree.getFormattedText(recovered[0].text)).toBe("<h1><b>tex</b>t more</h1>");
+
+    expect(await autosave.flush()).toEqual({ id: 'a', name: 'A', modified: 1000 });
+    expect(saved.length).toBe(1);
+    expect(drafts.length).toBe(0);
+    expect(await autosave.flush()).toBeNull();
+    expect((await store.open('a')).text).toBe("text more");
+
+    // Undoing back to the saved text drops the draft again
+    history.seal();
+    history.insertText(9, "!");
+    autosave.changed();
+    history.undo();
+    expect(autosave.changed()).toBe(false);
+    expect(drafts.length).toBe(0);
+  });
+
+  it('discards the draft of a document saved for the first time', async function() {
+    const drafts = memoryStorage();
+    const document = { id: null, name: 'New', ...formattedDocument("text") };
+    const autosave = new Autosave(store, () => document, { drafts, delay: 60000, onSave: record => { document.id = record.id; } });
+    autosave.markSaved();
+
+    document.tree.addTag('i', [0, 2]);
+    expect(autosave.changed()).toBe(true);
+    expect(drafts.key(0).startsWith(`${Autosave.DRAFT_PREFIX}new-`)).toBe(true);
+
+    const record = await autosave.flush();
+    expect(document.id).toBe(record.id);
+    expect(drafts.length).toBe(0);
+    expect(new Autosave(store, () => document, { drafts }).recover()).toEqual([]);
+  });
+
+  it('counts changes instead of serializing the document to find them', async function() {
+    const drafts = memoryStorage();
+    const history = new EditHistory(formattedDocument("text").tree, "text");
+    const current = () => ({ id: 'a', name: 'A', text: history.text, tree: history.tree });
+    const autosave = new Autosave(store, current, { drafts, delay: 60000 });
+    autosave.markSaved();
+    spyOn(history.tree, 'toDocument').and.callThrough();
+
+    expect(autosave.isDirty()).toBe(false);
+    expect(autosave.changed()).toBe(false);
+    expect(await autosave.flush()).toBeNull();
+    expect(history.tree.toDocument).not.toHaveBeenCalled();
+
+    history.insertText(4, "!");
+    expect(autosave.isDirty()).toBe(true);
+    expect(history.tree.toDocument).not.toHaveBeenCalled();
+    expect(autosave.changed()).toBe(true);
+    expect(autosave.changed()).toBe(true);
+    expect(history.tree.toDocument).toHaveBeenCalledTimes(1);
+
+    // Another tree is another document
+    const other = formattedDocument("other");
+    const replaced = new Autosave(store, () => ({ id: 'b', name: 'B', ...other }), { drafts });
+    replaced.markSaved();
+    other.tree = new TaggedIntervalTree(0, 5);
+    expect(replaced.isDirty()).toBe(true);
+  });
+
+  it('keeps the drafts of unsaved documents apart', function() {
+    const drafts = memoryStorage();
+    const first = { id: null, name: 'First', ...formattedDocument("one") };
+    const second = { id: null, name: 'Second', ...formattedDocument("two") };
+    const autosaves = [first, second].map(document => new Autosave(store, () => document, { drafts, delay: 60000 }));
+    autosaves.forEach(autosave => autosave.markSaved());
+
+    first.tree.addTag('i', [0, 1]);
+    second.tree.addTag('u', [0, 1]);
+    autosaves.forEach(autosave => autosave.changed());
+    first.tree.addTag('i', [1, 2]);
+    autosaves[0].changed();
+    autosaves.forEach(autosave => autosave.markSaved());
+    first.tree.addTag('s', [2, 3]);
+    autosaves[0].changed();
+    second.tree.addTag('s', [2, 3]);
+    autosaves[1].changed();
+
+    const recovered = autosaves[0].recover();
+    expect(recovered.map(draft => [draft.id, draft.name])).toEqual([[null, 'First'], [null, 'Second']]);
+    expect(recovered[0].tree.getFormattedText(recovered[0].text)).toBe("<h1><b><i>on</i><s>e</s></b></h1>");
+    autosaves[0].discardRecovered(recovered[0]);
+    expect(autosaves[0].recover().map(draft => draft.name)).toEqual(['Second']);
+  });
+
+  it('keeps the draft of changes made while saving', async function() {
+    const drafts = memoryStorage();
+    const document = { id: 'a', name: 'A', ...formattedDocument("text") };
+    const autosave = new Autosave(store, () => document, { drafts, delay: 60000 });
+    autosave.markSaved();
+
+    document.tree.addTag('i', [0, 2]);
+    const saving = autosave.flush();
+    document.tree.addTag('u', [2, 4]);
+    expect(autosave.changed()).toBe(true);
+    await saving;
+    expect(autosave.recover().map(draft => draft.tree.getFormattedText(draft.text))).toEqual(["<h1><b><i>te</i><u>x</u></b><u>t</u></h1>"]);
+    expect(autosave.isDirty()).toBe(true);
+
+    expect(await autosave.flush()).not.toBeNull();
+    expect(drafts.length).toBe(0);
+  });
+});
+
+describe('Long documents', function() {
+  it('removes a tag around many runs without overflowing the stack', function() {
+    const children = [];
+    for (let i = 0; i < 150000; i++) {
+      children.push({ interval: [2 * i, 2 * i + 1], tag: 'i', children: [] });
+    }
+    const tree = TaggedIntervalTree.fromJSON({ interval: [0, 300000], tag: null, children: [{ interval: [0, 300000], tag: 'b', children }] });
+
+    expect(tree.removeTag('b', [0, 300000])).toBe(true);
+    expect(tree.root.children.length).toBe(150000);
+    expect(tree.getTagsAt(299998)).toEqual(['i']);
+    expect(tree.validate()).toEqual([]);
+  });
+
+  it('makes segments and elements of a part of the text', function() {
+    const tree = new TaggedIntervalTree(0, 20);
+    tree.addTag('b', [2, 12]);
+    tree.addTag('i', [8, 16]);
+
+    expect(tree.getSegments([5, 10])).toEqual([
+      { start: 5, end: 8, tags: ['b'], attributes: {} },
+      { start: 8, end: 10, tags: ['b', 'i'], attributes: {} }
+    ]);
+    expect(tree.getElements({ interval: [14, 18] })).toEqual([
+      { tag: 'i', attributes: null, start: 12, end: 16, children: [{ start: 12, end: 16 }] },
+      { start: 16, end: 20 }
+    ]);
+    expect(tree.getElements({ minimal: true, interval: [14, 18] })).toEqual([
+      { tag: 'i', attributes: null, start: 14, end: 16, children: [{ start: 14, end: 16 }] },
+      { start: 16, end: 18 }
+    ]);
+  });
+
+  it('undoes and redoes with snapshots taken only when needed', function() {
+    const history = new EditHistory(new TaggedIntervalTree(0, 5), "Hello");
+    const state = () => `${history.text}\n${history.tree.toString()}`;
+    const states = [state()];
+
+    history.insertText(5, " wor");
+    history.insertText(9, "ld");
+    states.push(state());
+    history.toggleTag('b', [0, 5]);
+    states.push(state());
+    history.insertText(11, "!");
+    states.push(state());
+    expect(history.undoStack.length).toBe(3);
+
+    for (let i = 2; i >= 0; i--) {
+      history.undo();
+      expect(state()).toBe(states[i]);
+    }
+    for (let i = 1; i <= 3; i++) {
+      history.redo();
+      expect(state()).toBe(states[i]);
+    }
+
+    // Changes that do nothing are not undo steps, and keep redo
+    history.undo();
+    history.removeTag('i', [0, 5]);
+    history.insertText(3, "");
+    expect(history.undoStack.length).toBe(2);
+    expect(history.canRedo()).toBe(true);
+  });
+
+  it('renders only the blocks around a change into a DOM container', function() {
+    if (typeof document === 'undefined') {
+      pending('needs a DOM, open test.html in a browser');
+    }
+    const text = "one\ntwo\nthree\nfour";
+    const tree = new TaggedIntervalTree(0, text.length);
+    tree.blocks = new BlockList(text);
+    tree.setBlockType('ul', [4, 13]);
+    const history = new EditHistory(tree, text);
+    const container = document.createElement('div');
+    tree.render(history.text, 'dom', { container, minimal: true });
+    const first = container.firstChild;
+
+    history.insertText(18, "!");
+    history.addTag('b', [14, 19]);
+    tree.render(history.text, 'dom', { container, minimal: true, changed: [18, 19] });
+    expect(container.innerHTML).toBe("<p>one</p><ul><li>two</li><li>three</li></ul><p><b>four!</b></p>");
+    expect(container.firstChild).toBe(first);
+
+    // A block joining the list next to it
+    history.setBlockType('ul', [0, 0]);
+    tree.render(history.text, 'dom', { container, minimal: true, changed: [0, 0] });
+    expect(container.innerHTML).toBe("<ul><li>one</li><li>two</li><li>three</li></ul><p><b>four!</b></p>");
+  });
+});
+
+describe('Change events', function() {
+  it('sends the range of every change', function() {
+    const tree = new TaggedIntervalTree(0, 11);
+    tree.blocks = new BlockList("Hello\nworld");
+    const events = [];
+    for (const type of TaggedIntervalTree.EVENT_TYPES) {
+      tree.on(type, event => events.push(event));
+    }
+
+    tree.addTag('a', [0, 5], { href: 'https://a.example' });
+    tree.removeTag('i', [0, 5]);
+    tree.removeTag('a', [0, 2]);
+    tree.clearFormatting([0, 11]);
+    tree.insertText(5, 3, "!\n!");
+    tree.deleteRange(0, 2);
+    tree.setBlockType('h1', [0, 0]);
+    tree.setBlockType('h1', [0, 0]);
+
+    expect(events).toEqual([
+      { type: 'tagAdded', tag: 'a', attributes: { href: 'https://a.example' }, start: 0, end: 5 },
+      { type: 'tagRemoved', tag: 'a', start: 0, end: 2 },
+      { type: 'tagRemoved', tag: null, start: 0, end: 11 },
+      { type: 'textChanged', start: 5, end: 8, deleted: 0 },
+      { type: 'textChanged', start: 0, end: 0, deleted: 2 },
+      { type: 'blockTypeChanged', blockType: 'h1', start: 0, end: 0 }
+    ]);
+  });
+
+  it('sends the events of the changes a change is made of, and reset for undo', function() {
+    const tree = new TaggedIntervalTree(0, 10);
+    const history = new EditHistory(tree, "0123456789");
+    const events = [];
+    const stop = tree.on('tagAdded', event => events.push([event.type, event.start, event.end]));
+    tree.on('reset', event => events.push([event.type, event.start, event.end]));
+
+    history.toggleTag('b', [2, 4]);
+    history.toggleTag('b', [0, 6]);
+    history.undo();
+    stop();
+    history.redo();
+    expect(events).toEqual([
+      ['tagAdded', 2, 4], ['tagAdded', 0, 2], ['tagAdded', 4, 6], ['reset', 0, 10], ['reset', 0, 10]
+    ]);
+    expect(() => tree.on('changed', () => {})).toThrowError('Unknown event type: changed');
+  });
+});
+
+describe('Annotations', function() {
+  const text = "Hello wonderful world";
+  let tree;
+
+  beforeEach(function() {
+    tree = new TaggedIntervalTree(0, text.length);
+    tree.annotations = new AnnotationList();
+  });
+
+  it('keeps overlapping annotations apart, and finds them by position', function() {
+    const comment = tree.addAnnotation({ start: 0, end: 15, type: 'comment', author: 'Ann', payload: { text: 'Too long?' } });
+    tree.addAnnotation({ id: 'h1', start: 6, end: 21, type: 'highlight' });
+    tree.addAnnotation({ id: 'h2', start: 6, end: 21, type: 'highlight' });
+    tree.addTag('b', [0, 5]);
+
+    expect(comment.id).toMatch(/^[\w-]+$/);
+    expect(tree.annotations.getAll().map(annotation => annotation.id)).toEqual([comment.id, 'h1', 'h2']);
+    expect(tree.getAnnotationsAt(10).map(annotation => annotation.id)).toEqual([comment.id, 'h1', 'h2']);
+    expect(tree.getAnnotationsAt(3)).toEqual([
+      { id: comment.id, start: 0, end: 15, type: 'comment', author: 'Ann', payload: { text: 'Too long?' } }
+    ]);
+    expect(tree.annotations.inRange([15, 16]).map(annotation => annotation.id)).toEqual(['h1', 'h2']);
+    expect(tree.getTagsAt(10)).toEqual([]);
+
+    expect(tree.updateAnnotation('h1', { payload: { color: 'green' } })).toBe(true);
+    expect(tree.annotations.get('h1').payload).toEqual({ color: 'green' });
+    expect(tree.removeAnnotation('h2')).toBe(true);
+    expect(tree.removeAnnotation('h2')).toBe(false);
+    expect(() => tree.addAnnotation({ id: 'h1', start: 0, end: 1, type: 'highlight' })).toThrowError(/already used/);
+    expect(() => tree.addAnnotation({ start: 3, end: 3, type: 'comment' })).toThrowError(/start < end/);
+    expect(() => tree.addAnnotation({ start: 0, end: 1, type: 'Big note' })).toThrowError(/type must be/);
+    expect(() => new TaggedIntervalTree(0, 5).addAnnotation({ start: 0, end: 1, type: 'comment' }))
+      .toThrowError('The tree has no annotations');
+  });
+
+  it('follows text changes', function() {
+    tree.addAnnotation({ id: 'word', start: 6, end: 15, type: 'comment' });
+    tree.addAnnotation({ id: 'end', start: 16, end: 21, type: 'highlight' });
+
+    tree.insertText(6, 2);  // Before the annotation
+    tree.insertText(10, 1); // Inside it
+    tree.insertText(18, 1); // At its end
+    expect(tree.annotations.get('word')).toEqual(jasmine.objectContaining({ start: 8, end: 18 }));
+    expect(tree.annotations.get('end')).toEqual(jasmine.objectContaining({ start: 20, end: 25 }));
+
+    tree.deleteRange(4, 10);
+    expect(tree.annotations.get('word')).toEqual(jasmine.objectContaining({ start: 4, end: 12 }));
+    tree.deleteRange(3, 13);
+    expect(tree.annotations.get('word')).toBeNull();
+    expect(tree.annotations.get('end')).toEqual(jasmine.objectContaining({ start: 4, end: 9 }));
+  });
+
+  it('keeps annotations sorted when deleting text moves their ends', function() {
+    tree.addAnnotation({ id: 'long', start: 0, end: 21, type: 'comment' });
+    tree.addAnnotation({ id: 'word', start: 6, end: 15, type: 'highlight' });
+
+    tree.deleteRange(0, 10); // Both start at 0, and word now ends first
+    expect(tree.annotations.getAll().map(annotation => [annotation.id, annotation.start, annotation.end]))
+      .toEqual([['word', 0, 5], ['long', 0, 11]]);
+    expect(tree.getAnnotationsAt(0).map(annotation => annotation.id)).toEqual(['word', 'long']);
+  });
+
+  it('renders annotations as marks inside the tags', function() {
+    tree.addTag('b', [0, 10]);
+    tree.addAnnotation({ id: 'c1', start: 3, end: 8, type: 'comment' });
+    tree.addAnnotation({ id: 'h1', start: 6, end: 12, type: 'highlight' });
+
+    expect(tree.getFormattedText(text)).toBe("<b>Hello wond</b>erful world");
+    expect(tree.getFormattedText(text, { annotations: true })).toBe(
+      '<b>Hel<mark class="annotation annotation-comment" data-annotations="c1">lo </mark>' +
+      '<mark class="annotation annotation-comment annotation-highlight" data-annotations="c1 h1">wo</mark>' +
+      '<mark class="annotation annotation-highlight" data-annotations="h1">nd</mark></b>' +
+      '<mark class="annotation annotation-highlight" data-annotations="h1">er</mark>ful world');
+  });
+
+  it('is saved in documents and undone with the history', function() {
+    const history = new EditHistory(tree, text);
+    history.addAnnotation({ id: 'c1', start: 0, end: 5, type: 'comment', author: 'Ann', payload: { text: 'Hi' } });
+    history.updateAnnotation('c1', { payload: { text: 'Hello' } });
+
+    const copy = TaggedIntervalTree.fromDocument(tree.toDocument(text)).tree;
+    expect(copy.annotations.getAll()).toEqual(tree.annotations.getAll());
+    expect(tree.clone().annotations.get('c1').payload).toEqual({ text: 'Hello' });
+    const long = { id: 'c2', start: 5, end: 30, type: 'comment' };
+    expect(() => TaggedIntervalTree.fromDocument({ ...tree.toDocument(text), annotations: [long] }))
+      .toThrowError(/Invalid annotations: c2 ends at 30/);
+
+    history.undo();
+    expect(tree.annotations.get('c1').payload).toEqual({ text: 'Hi' });
+    history.undo();
+    expect(tree.annotations.getAll()).toEqual([]);
+    history.redo();
+    expect(tree.getAnnotationsAt(0).map(annotation => annotation.author)).toEqual(['Ann']);
+  });
+
+  it('removes several annotations as one undo step', function() {
+    const history = new EditHistory(tree, text);
+    history.addAnnotation({ id: 'h1', start: 0, end: 5, type: 'highlight' });
+    history.addAnnotation({ id: 'h2', start: 3, end: 9, type: 'highlight' });
+    const steps = history.undoStack.length;
+
+    expect(history.removeAnnotations(['h1', 'missing', 'h2'])).toBe(true);
+    expect(tree.annotations.getAll()).toEqual([]);
+    expect(history.undoStack.length).toBe(steps + 1);
+    expect(history.removeAnnotations(['h1'])).toBe(false);
+    expect(history.undoStack.length).toBe(steps + 1);
+
+    history.undo();
+    expect(tree.annotations.getAll().map(annotation => annotation.id)).toEqual(['h1', 'h2']);
+  });
+});
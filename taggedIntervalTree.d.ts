@@ -0,0 +1,611 @@
+// Type definitions for Tagged Interval Tree
+
+/** [start, end) positions in the text */
+export type Interval = [number, number];
+
+/** Attributes of a tag, like { href: 'https://...' } for a or { color: 'red' } for span */
+export type Attributes = Record<string, string>;
+
+export interface IntervalNodeJSON {
+  interval: Interval;
+  tag: string | null;
+  attributes?: Attributes;
+  children: IntervalNodeJSON[];
+}
+
+export interface TaggedDocument {
+  version: number;
+  text: string;
+  tree: IntervalNodeJSON;
+  /** Block type of every line, when the tree has blocks */
+  blocks?: BlockType[];
+  /** When the tree has annotations */
+  annotations?: Annotation[];
+}
+
+/** A comment, highlight or other range of the text, which may overlap other annotations */
+export interface Annotation<Payload = any> {
+  id: string;
+  start: number;
+  end: number;
+  /** Like 'comment' or 'highlight' */
+  type: string;
+  author: string | null;
+  payload: Payload | null;
+}
+
+/** Paragraph, headings, bulleted and numbered list items, and quote */
+export type BlockType = 'p' | 'h1' | 'h2' | 'h3' | 'ul' | 'ol' | 'blockquote';
+
+/** A line of the text, without its line break */
+export interface Block {
+  start: number;
+  end: number;
+  type: BlockType;
+}
+
+/** A broken tree property, found by validate() */
+export interface Violation {
+  /** Node breaking the property, like 'root.children[1]' */
+  path: string;
+  property: 'Interval' | 'Non-overlapping' | 'Sorted' | 'Merged' | 'Inside' | 'Tag';
+  message: string;
+}
+
+export interface TagCoverage {
+  coverage: 'full' | 'partial' | 'none';
+  /** Parts of the interval having the tag, sorted and merged */
+  ranges: Interval[];
+}
+
+/** Run of text with the same tags (outermost first) and attributes */
+export interface Segment {
+  start: number;
+  end: number;
+  tags: string[];
+  attributes: Record<string, Attributes>;
+}
+
+/** Formatting applied to text inserted by EditHistory.setText */
+export interface TextFormat {
+  tag: string;
+  attributes?: Attributes | null;
+  remove?: boolean;
+}
+
+/** Text between elements, as a leaf of getElements */
+export interface TextElement {
+  start: number;
+  end: number;
+}
+
+/** Well-nested element of getElements */
+export interface TagElement {
+  tag: string;
+  attributes: Attributes | null;
+  start: number;
+  end: number;
+  children: Array<TagElement | TextElement>;
+}
+
+/** Text inside annotations, with options.annotations; tag is 'mark' */
+export interface AnnotationElement extends TagElement {
+  annotations: Annotation[];
+}
+
+export interface ElementOptions {
+  /** Build elements from the runs of tags, with fewer elements where tags overlap, instead of following the tree */
+  minimal?: boolean;
+  /** Tags going inside other tags with the same run, with minimal */
+  innermost?: string[];
+  /** Only make elements with text in [start, end] */
+  interval?: Interval;
+  /** Put the text in annotations of the tree in AnnotationElements, rendered as <mark> */
+  annotations?: boolean;
+}
+
+/** Output format for TaggedIntervalTree.render */
+export interface Renderer<Output = unknown> {
+  render(tree: TaggedIntervalTree, text: string, options?: any): Output;
+}
+
+export interface DOMRenderOptions extends ElementOptions {
+  container: Element;
+  /** Positions in the new text of a change the container was rendered before; only blocks around it are rendered again */
+  changed?: Interval | null;
+}
+
+export interface Span {
+  start: number;
+  end: number;
+  tag: string;
+  attributes?: Attributes;
+}
+
+export interface EditHistoryOptions {
+  /** Maximum number of undo steps (default 100) */
+  limit?: number;
+  /** Text changes within this many milliseconds are one undo step (default 1000) */
+  coalesceTime?: number;
+  /** Clock used for coalescing, in milliseconds */
+  now?: () => number;
+}
+
+/** Saved document in a DocumentStore */
+export interface StoredDocument {
+  id: string;
+  name: string;
+  /** Time of the last save, in milliseconds since 1970 */
+  modified: number;
+}
+
+/** Record kept by a DocumentBackend */
+export interface DocumentRecord extends StoredDocument {
+  document: TaggedDocument;
+}
+
+/** Storage of the records of a DocumentStore */
+export interface DocumentBackend {
+  getAll(): Promise<DocumentRecord[]>;
+  get(id: string): Promise<DocumentRecord | null | undefined>;
+  put(record: DocumentRecord): Promise<unknown>;
+  delete(id: string): Promise<unknown>;
+}
+
+/** Document open in an editor; id is null until it is first saved */
+export interface EditedDocument {
+  id?: string | null;
+  name?: string;
+  text: string;
+  tree: TaggedIntervalTree;
+}
+
+/** The part of Storage (like localStorage) used for documents and drafts */
+export type StorageLike = Pick<Storage, 'getItem' | 'setItem' | 'removeItem' | 'key' | 'length'>;
+
+/** Editor command, run by CommandRegistry with the context the editor passes */
+export interface Command<Context = any> {
+  id: string;
+  label?: string;
+  /** Default keybinding, like 'Ctrl+B' */
+  key?: string;
+  run(context: Context): void;
+  isEnabled?(context: Context): boolean;
+  isActive?(context: Context): boolean;
+  [property: string]: unknown;
+}
+
+/** How a tag is written and shown, registered in a TagRegistry */
+export interface TagType {
+  tag: string;
+  /** HTML element it is rendered as; null leaves it out of HTML, keeping its text */
+  html?: string | null;
+  /** Markdown delimiters in order of preference, 'code' for code spans or 'link' for links; null for inline HTML */
+  markdown?: string[] | 'code' | 'link' | null;
+  /** Tags that can not be on the same text, both ways: addTag removes them */
+  exclusive?: string[];
+  /** The tag may cover the line breaks between blocks */
+  spansBlocks?: boolean;
+  /** Id of the editor command toggling the tag */
+  command?: string;
+  label?: string;
+  /** Toolbar icon; editor.html makes a button for tags with one */
+  icon?: string;
+  /** Default keybinding of the command, like 'Ctrl+B' */
+  key?: string;
+}
+
+export class TagRegistry {
+  constructor(types?: TagType[]);
+  /** In order of registration, with defaults filled in */
+  types: Array<TagType & { html: string | null; markdown: string[] | 'code' | 'link' | null; exclusive: string[]; spansBlocks: boolean }>;
+  /** Adds a tag type, or replaces the one of its tag */
+  register(type: TagType): TagType;
+  get(tag: string): TagType | null;
+  exclusiveWith(tag: string): string[];
+  spansBlocks(tag: string): boolean;
+  htmlElement(tag: string | null): string | null;
+  tagForElement(element: string): string | null;
+  /** Tag written with a Markdown delimiter, like 'b' for '**' */
+  tagForDelimiter(delimiter: string): string | null;
+  markdown(tag: string): string[] | 'code' | 'link' | null;
+  markdownDelimiters(): Record<string, string[]>;
+}
+
+/** Serializable operations on a document { text, tree } */
+export type TextOperation =
+  | { type: 'insertText'; position: number; text: string; tags?: Record<string, Attributes | null> }
+  | { type: 'deleteRange'; start: number; end: number }
+  | { type: 'addTag'; tag: string; start: number; end: number; attributes?: Attributes | null }
+  | { type: 'removeTag'; tag: string; start: number; end: number };
+
+export class IntervalNode {
+  constructor(start: number, end: number, tag?: string | null, attributes?: Attributes | null);
+  interval: Interval;
+  tag: string | null;
+  attributes: Attributes | null;
+  children: IntervalNode[];
+  hasAttributes(attributes: Attributes | null | undefined): boolean;
+  static sameAttributes(a: Attributes | null | undefined, b: Attributes | null | undefined): boolean;
+  /** This node without its children, as a line of toString */
+  label(): string;
+  toString(indent?: number): string;
+  clone(): IntervalNode;
+  toJSON(): IntervalNodeJSON;
+}
+
+/** Change events of a tree, with the range of the change in the text after it */
+export type TreeEvent =
+  | { type: 'tagAdded'; tag: string; attributes: Attributes | null; start: number; end: number }
+  /** tag is null when every tag was removed, by clearFormatting */
+  | { type: 'tagRemoved'; tag: string | null; start: number; end: number }
+  /** The text in [start, end] replaced deleted characters */
+  | { type: 'textChanged'; start: number; end: number; deleted: number }
+  | { type: 'blockTypeChanged'; blockType: BlockType; start: number; end: number }
+  /** An annotation was added, updated or removed; start and end are its range */
+  | { type: 'annotationChanged'; id: string; start: number; end: number }
+  /** The whole tree was replaced, like by undo */
+  | { type: 'reset'; start: number; end: number };
+
+export type TreeEventType = TreeEvent['type'];
+
+/** A node visited by the depth-first search of removeTag, when the search was done with it */
+export interface RemoveTagStep {
+  /** Path of the node before the removal, like 'root.children[1]' */
+  path: string;
+  tag: string | null;
+  interval: Interval;
+  state: 'NO_OVERLAP' | 'PROCESSED_CHILDREN' | 'REMOVE-INTERVAL-INSIDE' | 'REMOVE-INTERVAL-LEFT' | 'REMOVE-INTERVAL-RIGHT' | 'REMOVE-ENTIRE-NODE';
+  removed: boolean;
+  /** Part of the remove-interval left for the following siblings */
+  remainingInterval: Interval;
+}
+
+export interface RemoveTagTrace {
+  tag: string;
+  interval: Interval;
+  /** Children before their parents */
+  steps: RemoveTagStep[];
+}
+
+export class TaggedIntervalTree {
+  constructor(start?: number, end?: number);
+  root: IntervalNode;
+  /** Validate the tree after every change, throwing on the first broken property */
+  debug: boolean;
+  /** Block formatting of the lines of the text, or null for inline tags only */
+  blocks: BlockList | null;
+  /** Comments, highlights and other ranges that may overlap, or null for none */
+  annotations: AnnotationList | null;
+  /** Whether removeTag keeps a trace in removeTagTrace, false by default */
+  traceRemoveTag: boolean;
+  /** How the last removeTag went while traceRemoveTag was on, or null before any */
+  removeTagTrace: RemoveTagTrace | null;
+
+  /** Call listener after each change of type; returns a function removing it */
+  on<T extends TreeEventType>(type: T, listener: (event: Extract<TreeEvent, { type: T }>) => void): () => void;
+  off(type: TreeEventType, listener: (event: any) => void): void;
+
+  addTag(tag: string, interval: Interval, attributes?: Attributes | null): void;
+  /** Returns true when the tag was removed from some part of the interval */
+  removeTag(tag: string, interval: Interval): boolean;
+  /** Removes the tag when the whole interval has it, otherwise adds it; null for an empty interval */
+  toggleTag(tag: string, interval: Interval, attributes?: Attributes | null): 'added' | 'removed' | null;
+  clearFormatting(interval: Interval): boolean;
+  replaceTag(oldTag: string, newTag: string, interval: Interval): boolean;
+  /** text is the inserted text, needed when the tree has blocks */
+  insertText(position: number, length: number, text?: string | null): void;
+  deleteRange(start: number, end: number): void;
+  /** Copy of [start, end] of text as a document, with intervals starting at 0 */
+  extractRange(interval: Interval, text: string): { text: string; tree: TaggedIntervalTree };
+  /** Insert a document at position; its text gets the tags of the document, not those of the text to its left */
+  insertDocument(position: number, document: { text: string; tree: TaggedIntervalTree }): void;
+  /** Set the block type of the lines overlapping interval; returns the number of lines changed */
+  setBlockType(type: BlockType, interval: Interval): number;
+  /** The tree must have annotations; returns the annotation with its id */
+  addAnnotation(annotation: AnnotationInput): Annotation;
+  updateAnnotation(id: string, changes: { author?: string | null; payload?: any }): boolean;
+  removeAnnotation(id: string): boolean;
+  /** Annotations containing the character at position */
+  getAnnotationsAt(position: number): Annotation[];
+
+  hasTag(tag: string, interval: Interval): boolean;
+  /** Tags of the character at position, outermost first */
+  getTagsAt(position: number): string[];
+  getTagCoverage(tag: string, interval: Interval): TagCoverage;
+  /** Runs with the same tags, only those inside interval when given */
+  getSegments(interval?: Interval | null): Segment[];
+  getElements(options?: ElementOptions): Array<TagElement | TextElement>;
+  validate(): Violation[];
+  static formatViolation(violation: Violation): string;
+
+  getFormattedText(text: string, options?: ElementOptions): string;
+  /** Render in a format of TaggedIntervalTree.renderers: 'html' (default), 'dom', 'ansi', 'plain' or 'markdown' */
+  render(text: string, format?: 'html' | 'ansi' | 'markdown', options?: ElementOptions): string;
+  render(text: string, format: 'dom', options: DOMRenderOptions): Element;
+  render(text: string, format: 'plain', options?: object): { text: string; spans: Span[] };
+  render(text: string, format: string, options?: object): unknown;
+  static registerRenderer(format: string, renderer: Renderer): void;
+  static renderers: Record<string, Renderer>;
+  renderToDOM(text: string, container: Element): Element;
+  static isAllowedHTMLTag(tag: string | null): boolean;
+  static safeHTMLAttributes(tag: string, attributes: Attributes | null): Array<[string, string]>;
+  static isSafeURL(url: string): boolean;
+  static escapeHTML(text: string): string;
+
+  toJSON(): IntervalNodeJSON;
+  static fromJSON(json: IntervalNodeJSON | string): TaggedIntervalTree;
+  toDocument(text: string): TaggedDocument;
+  static fromDocument(doc: TaggedDocument | string): { text: string; tree: TaggedIntervalTree };
+  /** With options.blocks, block elements become lines with block types */
+  static fromHTML(html: string, options?: { blocks?: boolean }): { text: string; tree: TaggedIntervalTree };
+  static fromMarkdown(markdown: string): { text: string; tree: TaggedIntervalTree };
+
+  clone(): TaggedIntervalTree;
+  toString(): string;
+
+  static DOCUMENT_VERSION: number;
+  static EVENT_TYPES: TreeEventType[];
+  /** Tags of trees, used by addTag, the renderers and fromHTML */
+  static tags: TagRegistry;
+  static ALLOWED_HTML_ATTRIBUTES: Record<string, string[]>;
+  static ALLOWED_STYLE_PROPERTIES: string[];
+  static HTML_TAGS: Record<string, string>;
+  static HTML_BLOCK_TYPES: Record<string, BlockType>;
+}
+
+/** HTML output, as getFormattedText */
+export class HTMLRenderer implements Renderer<string> {
+  render(tree: TaggedIntervalTree, text: string, options?: ElementOptions): string;
+}
+
+/** DOM output into options.container, replacing its content */
+export class DOMRenderer implements Renderer<Element> {
+  render(tree: TaggedIntervalTree, text: string, options: DOMRenderOptions): Element;
+  /** Position in the text of DOM position (node, offset) in a rendered container */
+  static offsetOf(container: Node, node: Node, offset: number): number;
+  /** DOM position of a position in the text, in a rendered container */
+  static positionAt(container: Node, position: number): { node: Node; offset: number };
+  /** Text in a rendered container, with a line break between blocks */
+  static textOf(container: Node): string;
+  /** Tags of block elements */
+  static BLOCK_TAGS: string[];
+}
+
+/** Terminal output with SGR codes, 24-bit colors and OSC 8 links */
+export class ANSIRenderer implements Renderer<string> {
+  render(tree: TaggedIntervalTree, text: string, options?: object): string;
+  /** SGR codes of tags */
+  static STYLES: Record<string, string>;
+  static COLORS: Record<string, [number, number, number]>;
+}
+
+/** Plain text with a span per continuous run of each tag */
+export class PlainTextRenderer implements Renderer<{ text: string; spans: Span[] }> {
+  render(tree: TaggedIntervalTree, text: string, options?: object): { text: string; spans: Span[] };
+}
+
+/** Markdown output in the forms of TaggedIntervalTree.tags, like **b** and [a](href); other allowed tags as inline HTML */
+export class MarkdownRenderer implements Renderer<string> {
+  render(tree: TaggedIntervalTree, text: string, options?: object): string;
+}
+
+/** Inline Markdown input, following the CommonMark rules for emphasis */
+export class MarkdownParser {
+  parse(markdown: string): { text: string; tree: TaggedIntervalTree };
+}
+
+/** Block formatting of a text, one block per line */
+export class BlockList {
+  constructor(text?: string);
+  blocks: Block[];
+  getBlocks(): Block[];
+  /** Block containing position; a position between two lines is at the end of the first one */
+  blockAt(position: number): Block;
+  /** Parts of interval inside blocks, leaving out the line breaks between them */
+  blockParts(interval: Interval): Interval[];
+  setType(type: BlockType, interval: Interval): number;
+  insertText(position: number, text: string): void;
+  deleteRange(start: number, end: number): void;
+  toJSON(): BlockType[];
+  static fromJSON(json: BlockType[], text: string): BlockList;
+  clone(): BlockList;
+
+  static TYPES: BlockType[];
+  static HTML_ELEMENTS: Record<BlockType, { tag: string; group?: string }>;
+}
+
+/** An annotation to add, with a new id when it has none */
+export interface AnnotationInput<Payload = any> {
+  id?: string;
+  start: number;
+  end: number;
+  type: string;
+  author?: string | null;
+  payload?: Payload | null;
+}
+
+/** Annotations of a text, sorted by start then end; never merged, and removed when their text is deleted */
+export class AnnotationList {
+  constructor(annotations?: AnnotationInput[]);
+  annotations: Annotation[];
+  add(annotation: AnnotationInput): Annotation;
+  get(id: string): Annotation | null;
+  getAll(): Annotation[];
+  update(id: string, changes: { author?: string | null; payload?: any }): boolean;
+  remove(id: string): boolean;
+  /** Annotations containing the character at position */
+  at(position: number): Annotation[];
+  /** Annotations with text in interval */
+  inRange(interval: Interval): Annotation[];
+  insertText(position: number, length: number): void;
+  deleteRange(start: number, end: number): void;
+  toJSON(): Annotation[];
+  static fromJSON(json: Annotation[], textLength: number): AnnotationList;
+  clone(): AnnotationList;
+  static newId(): string;
+}
+
+/** Undo and redo for a tree and its text */
+export class EditHistory {
+  constructor(tree: TaggedIntervalTree, text?: string, options?: EditHistoryOptions);
+  tree: TaggedIntervalTree;
+  text: string;
+
+  addTag(tag: string, interval: Interval, attributes?: Attributes | null): void;
+  removeTag(tag: string, interval: Interval): boolean;
+  toggleTag(tag: string, interval: Interval, attributes?: Attributes | null): 'added' | 'removed' | null;
+  clearFormatting(interval: Interval): boolean;
+  replaceTag(oldTag: string, newTag: string, interval: Interval): boolean;
+  setBlockType(type: BlockType, interval: Interval): number;
+  addAnnotation(annotation: AnnotationInput): Annotation;
+  updateAnnotation(id: string, changes: { author?: string | null; payload?: any }): boolean;
+  removeAnnotation(id: string): boolean;
+  /** Removes them as one undo step; returns whether any was removed */
+  removeAnnotations(ids: string[]): boolean;
+  /** formats are applied to the inserted text */
+  insertText(position: number, text: string, formats?: TextFormat[]): void;
+  deleteRange(start: number, end: number): void;
+  /** Document of [start, end] of the text, for copying */
+  extractRange(interval: Interval): { text: string; tree: TaggedIntervalTree };
+  /** Insert a document for pasting, as a text change */
+  insertDocument(position: number, document: { text: string; tree: TaggedIntervalTree }): void;
+  /** Replace the whole text; formats are applied to the inserted text */
+  setText(text: string, formats?: TextFormat[]): void;
+  /** Stop coalescing, so the next text change starts a new undo step */
+  seal(): void;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  undo(): boolean;
+  redo(): boolean;
+}
+
+/** Commands of an editor and their keybindings */
+export class CommandRegistry<Context = any> {
+  static MODIFIERS: Record<string, 'Ctrl' | 'Alt' | 'Shift'>;
+  static normalizeKey(key: string): string;
+  /** Null for keys it can not name, like an empty or Unidentified key */
+  static eventKey(event: { key?: string; code?: string; ctrlKey?: boolean; metaKey?: boolean; altKey?: boolean; shiftKey?: boolean }): string | null;
+  commands: Command<Context>[];
+  /** Key to command id */
+  keymap: Record<string, string>;
+  constructor();
+  register(command: Command<Context>): Command<Context>;
+  get(id: string): Command<Context> | null;
+  bindKey(key: string, id: string): void;
+  unbindKey(key: string): void;
+  setKeymap(keymap: Record<string, string | null>): void;
+  keysFor(id: string): string[];
+  isEnabled(id: string, context: Context): boolean;
+  isActive(id: string, context: Context): boolean;
+  execute(id: string, context: Context): boolean;
+  handleKeyEvent(event: Parameters<typeof CommandRegistry.eventKey>[0] & { preventDefault(): void }, context: Context): boolean;
+  search(query: string): Command<Context>[];
+}
+
+/** Applying and transforming operations */
+export class Operation {
+  static apply(document: { text: string; tree: TaggedIntervalTree }, operation: TextOperation | TextOperation[]): { text: string; tree: TaggedIntervalTree };
+  /** Tags of the character at position, with their attributes */
+  static tagsAt(tree: TaggedIntervalTree, position: number): Record<string, Attributes | null>;
+  /** [a', b'] for operations a and b made on the same document; a wins conflicts */
+  static transform(a: TextOperation | TextOperation[], b: TextOperation | TextOperation[]): [TextOperation[], TextOperation[]];
+}
+
+/** In-process stand-in for a collaboration server */
+export class CollaborationServer {
+  constructor(text?: string);
+  document: { text: string; tree: TaggedIntervalTree };
+  history: TextOperation[][];
+  connect(client: CollaborationClient): string;
+  send(client: CollaborationClient, message: string): void;
+  /** Handle the next message; false when there is none */
+  deliver(): boolean;
+}
+
+/** Replica of a document, edited together with the other clients of a server */
+export class CollaborationClient {
+  constructor(server: CollaborationServer);
+  revision: number;
+  document: { text: string; tree: TaggedIntervalTree };
+  insertText(position: number, text: string): void;
+  deleteRange(start: number, end: number): void;
+  addTag(tag: string, interval: Interval, attributes?: Attributes | null): void;
+  removeTag(tag: string, interval: Interval): void;
+  apply(operations: TextOperation | TextOperation[]): void;
+  receive(message: string): void;
+  /** Handle the next message from the server; false when there is none */
+  deliver(): boolean;
+}
+
+/** Saved documents, in IndexedDB or localStorage */
+export class DocumentStore {
+  static DATABASE_NAME: string;
+  /** IndexedDB, or localStorage when IndexedDB can not be opened */
+  static connect(options?: {
+    name?: string;
+    indexedDB?: IDBFactory | null;
+    localStorage?: StorageLike | null;
+    now?: () => number;
+  }): Promise<DocumentStore>;
+  static newId(): string;
+  constructor(backend: DocumentBackend, options?: { now?: () => number });
+  backend: DocumentBackend;
+  now: () => number;
+  /** Most recently saved first */
+  list(): Promise<StoredDocument[]>;
+  open(id: string): Promise<StoredDocument & { text: string; tree: TaggedIntervalTree }>;
+  /** Saves as a new document when it has no id */
+  save(document: EditedDocument): Promise<StoredDocument>;
+  rename(id: string, name: string): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Records in an IndexedDB object store */
+export class IndexedDBBackend implements DocumentBackend {
+  static STORE_NAME: string;
+  static open(indexedDB: IDBFactory, name: string): Promise<IndexedDBBackend>;
+  constructor(database: IDBDatabase);
+  database: IDBDatabase;
+  getAll(): Promise<DocumentRecord[]>;
+  get(id: string): Promise<DocumentRecord | undefined>;
+  put(record: DocumentRecord): Promise<unknown>;
+  delete(id: string): Promise<unknown>;
+}
+
+/** Records as JSON in a Storage like localStorage */
+export class WebStorageBackend implements DocumentBackend {
+  constructor(storage: StorageLike, prefix?: string);
+  storage: StorageLike;
+  prefix: string;
+  getAll(): Promise<DocumentRecord[]>;
+  get(id: string): Promise<DocumentRecord | null>;
+  put(record: DocumentRecord): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Debounced saving of the open document, with drafts for recovering unsaved changes */
+export class Autosave {
+  static DRAFT_PREFIX: string;
+  constructor(store: DocumentStore, current: () => EditedDocument, options?: {
+    /** Milliseconds without changes before saving, 1000 by default */
+    delay?: number;
+    drafts?: StorageLike | null;
+    now?: () => number;
+    onSave?: (record: StoredDocument) => void;
+    onError?: (error: Error) => void;
+  });
+  /** The open document is as saved, like right after opening it */
+  markSaved(): void;
+  /** Returns whether there are unsaved changes */
+  changed(): boolean;
+  /** Whether the tree changed since the last save, even if the changes were undone since */
+  isDirty(): boolean;
+  /** Resolves with null when there was nothing to save */
+  flush(): Promise<StoredDocument | null>;
+  /** Drafts left by an earlier session, oldest first; id is null for documents that were never saved */
+  recover(): { key: string; id: string | null; name: string; modified: number; text: string; tree: TaggedIntervalTree }[];
+  discardDraft(id: string | null | undefined): void;
+  /** Discard a draft returned by recover() */
+  discardRecovered(draft: { key: string }): void;
+}
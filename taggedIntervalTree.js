@@ -64,32 +64,127 @@
      * Justification of non-overlapping property after removing a tag against a interval:
      * Because interval of all childs is inside parent interval (inside property), and because all child have non-overlapping intervals 
      * (non-overlaping properties), non-overlapping intervals is uphold when being added to its parent of parent.
+     * 
+     * Insert text (input: [position, length]):
+     * - Nodes starting at or after position are shifted by length, along with their sub-childs
+     * - Nodes with start < position <= stop grow by length (inserted text takes the tags to its left)
+     * - The root always grows, so it keeps covering the whole text
+     * 
+     * Delete range (input: [start, stop]):
+     * - Positions before start are kept, positions after stop move back by (stop - start), positions inside become start
+     * - Nodes whose interval becomes empty are removed
+     * - Same tag nodes on each side of the deleted text are merged, along with their childs (Merged property)
      */
 class IntervalNode {
-  constructor(start, end, tag = null) {
+  constructor(start, end, tag = null, attributes = null) {
     this.interval = [start, end];
     this.tag = tag;
+    // Attribute map like { href: 'https://...' } or { color: 'red' }; null when the tag has none
+    this.attributes = attributes && Object.keys(attributes).length > 0 ? { ...attributes } : null;
     this.children = [];
   }
   
-  toString(indent = 0) {
-    const indentStr = ' '.repeat(indent);
-    let result = `${indentStr}[${this.interval[0]},${this.interval[1]}]`;
+  // Check if attributes are the same as this node's attributes
+  hasAttributes(attributes) {
+    return IntervalNode.sameAttributes(this.attributes, attributes);
+  }
+  
+  // Compare attribute maps; null and {} are the same
+  static sameAttributes(a, b) {
+    const first = a || {};
+    const second = b || {};
+    const keys = Object.keys(first);
+    return keys.length === Object.keys(second).length && keys.every(key => first[key] === second[key]);
+  }
+  
+  // This node without its children, as a line of toString
+  label() {
+    let result = `[${this.interval[0]},${this.interval[1]}]`;
     if (this.tag) {
       result += ` tag: ${this.tag}`;
     }
-    result += '\n';
+    if (this.attributes) {
+      for (const name of Object.keys(this.attributes)) {
+        result += ` ${name}="${this.attributes[name]}"`;
+      }
+    }
+    return result;
+  }
+  
+  toString(indent = 0) {
+    let result = `${' '.repeat(indent)}${this.label()}\n`;
     
     for (const child of this.children) {
       result += child.toString(indent + 2);
     }
     return result;
   }
+  
+  // Deep copy of this node and its children
+  clone() {
+    const copy = new IntervalNode(this.interval[0], this.interval[1], this.tag, this.attributes);
+    copy.children = this.children.map(child => child.clone());
+    return copy;
+  }
+  
+  toJSON() {
+    const json = {
+      interval: [this.interval[0], this.interval[1]],
+      tag: this.tag,
+      children: this.children.map(child => child.toJSON())
+    };
+    if (this.attributes) {
+      json.attributes = { ...this.attributes };
+    }
+    return json;
+  }
 }
 
 class TaggedIntervalTree {
   constructor(start = 0, end = 0) {
     this.root = new IntervalNode(start, end);
+    // In debug mode every change validates the tree, and throws when a tree property is broken
+    this.debug = false;
+    // Block formatting of the lines of the text (a BlockList), or null for inline tags only
+    this.blocks = null;
+    // Comments, highlights and other ranges that may overlap (an AnnotationList), or null for none
+    this.annotations = null;
+    // Change listeners by event type
+    this.listeners = {};
+    // Whether removeTag keeps a trace, which costs a step for every node it visits; off unless an inspector needs it
+    this.traceRemoveTag = false;
+    // How the depth-first search of the last traced removeTag went, for inspecting it: { tag, interval, steps }, see removeTag
+    this.removeTagTrace = null;
+  }
+  
+  // Call listener(event) after each change of type (see TaggedIntervalTree.EVENT_TYPES); returns a function removing it
+  // Events have the range of the change as start and end, in the text after the change:
+  // - tagAdded { tag, attributes, start, end } and tagRemoved { tag, start, end }, where tag is null when every tag was removed
+  // - textChanged { start, end, deleted }: the text in [start, end] replaced deleted characters
+  // - blockTypeChanged { blockType, start, end }: the lines overlapping [start, end] got blockType
+  // - reset { start, end }: the whole tree was replaced, like by undo
+  // Changes made of other changes, like toggleTag, send the events of those.
+  on(type, listener) {
+    if (!TaggedIntervalTree.EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return () => this.off(type, listener);
+  }
+  
+  off(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(other => other !== listener);
+    }
+  }
+  
+  _emit(event) {
+    for (const listener of this.listeners[event.type] || []) {
+      listener(event);
+    }
   }
   
   // Binary search to find insertion point
@@ -113,56 +208,74 @@ class TaggedIntervalTree {
     return left;
   }
   
-  // Try to merge a new interval with existing children
-  _tryMergeWithNeighbors(node, newStart, newEnd, tag) {
-    if (node.children.length === 0) return false;
-    
-    // Find potential neighbors using binary search
-    const index = this._findInsertionPoint(node.children, newStart);
+  // Add a tag to an interval
+  // Where the tag already exists with other attributes, the new attributes override the old ones with the same name.
+  // Tags it excludes (see TagRegistry) are removed from the interval.
+  addTag(tag, interval, attributes = null) {
+    const [start, end] = interval;
+    if (start >= end) return; // Invalid interval
     
-    // Check left neighbor if exists
-    if (index > 0) {
-      const leftNeighbor = node.children[index - 1];
-      if (leftNeighbor.tag === tag && leftNeighbor.interval[1] >= newStart) {
-        // Can merge with left neighbor
-        leftNeighbor.interval[1] = Math.max(leftNeighbor.interval[1], newEnd);
-        
-        // Check if we can also merge with right neighbor
-        if (index < node.children.length) {
-          const rightNeighbor = node.children[index];
-          if (rightNeighbor.tag === tag && leftNeighbor.interval[1] >= rightNeighbor.interval[0]) {
-            leftNeighbor.interval[1] = Math.max(leftNeighbor.interval[1], rightNeighbor.interval[1]);
-            leftNeighbor.children.push(...rightNeighbor.children);
-            node.children.splice(index, 1);
-          }
+    // Tags stay inside blocks, off the line breaks between them, unless registered as spanning blocks
+    if (this.blocks && !TaggedIntervalTree.tags.spansBlocks(tag)) {
+      const parts = this.blocks.blockParts(interval);
+      if (parts.length !== 1 || parts[0][0] !== start || parts[0][1] !== end) {
+        for (const part of parts) {
+          this.addTag(tag, part, attributes);
         }
-        return true;
+        return;
+      }
+    }
+    
+    for (const other of TaggedIntervalTree.tags.exclusiveWith(tag)) {
+      if (this.getTagCoverage(other, interval).coverage !== 'none') {
+        this._removeTag(other, interval);
       }
     }
     
-    // Check right neighbor if exists
-    if (index < node.children.length) {
-      const rightNeighbor = node.children[index];
-      if (rightNeighbor.tag === tag && newEnd >= rightNeighbor.interval[0]) {
-        // Can merge with right neighbor
-        rightNeighbor.interval[0] = Math.min(rightNeighbor.interval[0], newStart);
-        return true;
+    // Parts of interval already having the tag, and the attributes they get after this add
+    const existing = [];
+    this._collectTagDFS(this.root, tag, start, end, existing);
+    for (const part of existing) {
+      part.attributes = { ...(part.node.attributes || {}), ...(attributes || {}) };
+    }
+    
+    if (existing.every(part => part.node.hasAttributes(part.attributes))) {
+      // Same tag and attributes can be merged as usual
+      this._addTagDFS(this.root, tag, start, end, attributes);
+    } else {
+      // Override: remove the tag from interval, then add it back part by part with the new attributes
+      this._removeTag(tag, interval);
+      let position = start;
+      for (const part of existing) {
+        this._addTagDFS(this.root, tag, position, part.start, attributes);
+        this._addTagDFS(this.root, tag, part.start, part.end, part.attributes);
+        position = part.end;
       }
+      this._addTagDFS(this.root, tag, position, end, attributes);
     }
     
-    return false;
+    this._checkInvariants(`addTag(${tag}, [${start},${end}])`);
+    this._emit({ type: 'tagAdded', tag, attributes, start, end });
   }
   
-  // Add a tag to an interval
-  addTag(tag, interval) {
-    const [start, end] = interval;
-    if (start >= end) return; // Invalid interval
-    
-    console.log(`Adding tag ${tag} to interval [${start},${end}]`);
-    this._addTagDFS(this.root, tag, start, end);
+  // Collect nodes with tag overlapping [start, end] in sorted order, as { node, start, end } clamped to the interval
+  _collectTagDFS(node, tag, start, end, result) {
+    for (let i = this._firstChildAfter(node, start); i < node.children.length && node.children[i].interval[0] < end; i++) {
+      const child = node.children[i];
+      if (child.tag === tag) {
+        // Tag property: no node below has the same tag
+        result.push({
+          node: child,
+          start: Math.max(start, child.interval[0]),
+          end: Math.min(end, child.interval[1])
+        });
+      } else {
+        this._collectTagDFS(child, tag, start, end, result);
+      }
+    }
   }
   
-  _addTagDFS(node, tag, start, end) {
+  _addTagDFS(node, tag, start, end, attributes = null) {
     // Make sure we're working within the node's interval
     start = Math.max(start, node.interval[0]);
     end = Math.min(end, node.interval[1]);
@@ -174,16 +287,11 @@ class TaggedIntervalTree {
     
     // If no children, create a new child with this tag
     if (node.children.length === 0) {
-      const newNode = new IntervalNode(start, end, tag);
+      const newNode = new IntervalNode(start, end, tag, attributes);
       node.children.push(newNode);
       return;
     }
     
-    // Try to merge with existing children first
-    if (this._tryMergeWithNeighbors(node, start, end, tag)) {
-      return;
-    }
-    
     // We need to find where to insert the new tag
     let insertPoints = [];
     let currentPos = start;
@@ -212,7 +320,7 @@ class TaggedIntervalTree {
       // If current position overlaps with this child
       if (currentPos < child.interval[1]) {
         // Recursively add tag to this child
-        this._addTagDFS(child, tag, currentPos, end);
+        this._addTagDFS(child, tag, currentPos, end, attributes);
         currentPos = child.interval[1];
       }
       
@@ -239,29 +347,78 @@ class TaggedIntervalTree {
       });
     }
     
-    // Insert all the new nodes (in reverse order to not mess up indices)
-    for (let i = insertPoints.length - 1; i >= 0; i--) {
-      const point = insertPoints[i];
-      
-      // Try to merge with neighbors first
-      if (!this._tryMergeWithNeighbors(node, point.start, point.end, tag)) {
-        const newNode = new IntervalNode(point.start, point.end, tag);
-        node.children.splice(point.index, 0, newNode);
+    if (insertPoints.length === 0) return;
+    
+    // Insert the new nodes in one splice, instead of one for each, then merge them with same tag neighbors
+    const first = insertPoints[0].index;
+    const last = insertPoints[insertPoints.length - 1].index;
+    const replaced = [];
+    for (let index = first, p = 0; index <= last; index++) {
+      for (; p < insertPoints.length && insertPoints[p].index === index; p++) {
+        replaced.push(new IntervalNode(insertPoints[p].start, insertPoints[p].end, tag, attributes));
       }
+      if (index < last) replaced.push(node.children[index]);
+    }
+    this._replaceChildren(node, first, last, replaced);
+    this._mergeTouchingChildren(node, first, first + replaced.length + 1);
+  }
+  
+  // Replace children from index first to last (exclusive) with replacement
+  // Large replacements build a new array, as spreading them into splice arguments can overflow the stack.
+  _replaceChildren(node, first, last, replacement) {
+    if (replacement.length > 1000) {
+      node.children = node.children.slice(0, first).concat(replacement, node.children.slice(last));
+    } else {
+      node.children.splice(first, last - first, ...replacement);
     }
   }
   
+  // Index of the first child of node ending after position
+  _firstChildAfter(node, position) {
+    const i = this._findInsertionPoint(node.children, position);
+    return i > 0 && node.children[i - 1].interval[1] > position ? i - 1 : i;
+  }
+  
   // Remove a tag from an interval
+  // With traceRemoveTag, removeTagTrace.steps gets a step for each node the search visited, in the order it was done with
+  // them (children first): { path, tag, interval, state, removed, remainingInterval }, where path is that of the node
+  // before the removal.
   removeTag(tag, interval) {
     const [start, end] = interval;
     if (start >= end) return false; // Invalid interval
+    if (!this.traceRemoveTag) return this._removeTag(tag, interval);
     
-    console.log(`Removing tag ${tag} from interval [${start},${end}]`);
-    const result = this._removeTagDFS(this.root, tag, start, end);
+    this.removeTagTrace = { tag, interval: [start, end], steps: [] };
+    return this._removeTag(tag, interval, this.removeTagTrace.steps);
+  }
+  
+  // removeTag without a trace, for removals made by other changes, so the trace stays that of the last removeTag
+  _removeTag(tag, interval, steps = null) {
+    const [start, end] = interval;
+    const result = this._removeTagDFS(this.root, tag, start, end, 'root', steps);
+    this._checkInvariants(`removeTag(${tag}, [${start},${end}])`);
+    if (result.removed) {
+      this._emit({ type: 'tagRemoved', tag, start, end });
+    }
     return result.removed;
   }
   
-  _removeTagDFS(node, tag, start, end) {
+  _removeTagDFS(node, tag, start, end, path, steps) {
+    const result = this._removeTagFromNode(node, tag, start, end, path, steps);
+    if (steps) {
+      steps.push({
+        path,
+        tag: node.tag,
+        interval: [node.interval[0], node.interval[1]],
+        state: result.state,
+        removed: result.removed,
+        remainingInterval: result.remainingInterval
+      });
+    }
+    return result;
+  }
+  
+  _removeTagFromNode(node, tag, start, end, path, steps) {
     // Adjust interval to node boundaries
     const effectiveStart = Math.max(start, node.interval[0]);
     const effectiveEnd = Math.min(end, node.interval[1]);
@@ -281,262 +438,81 @@ class TaggedIntervalTree {
       const originalEnd = node.interval[1];
       const rehookNodeList = [];
       
-      // Case 1: Remove-interval is inside a tag (not touching start and end position)
+      // Split children into those before, inside and after the remove-interval.
+      // Children crossing a boundary are split in two; no child has this tag (Tag property).
+      const { before, inside, after } = this._partitionChildren(node.children, effectiveStart, effectiveEnd);
+      
+      // Create pre-tag node (before the removal interval)
+      if (effectiveStart > originalStart) {
+        const preTagNode = new IntervalNode(originalStart, effectiveStart, tag, node.attributes);
+        preTagNode.children = before;
+        rehookNodeList.push(preTagNode);
+      }
+      
+      // Nodes inside the removal interval are rehooked to the parent
+      for (const child of inside) {
+        rehookNodeList.push(child);
+      }
+      
+      // Create post-tag node (after the removal interval)
+      if (effectiveEnd < originalEnd) {
+        const postTagNode = new IntervalNode(effectiveEnd, originalEnd, tag, node.attributes);
+        postTagNode.children = after;
+        rehookNodeList.push(postTagNode);
+      }
+      
+      let state;
       if (effectiveStart > originalStart && effectiveEnd < originalEnd) {
-        // Create separate collections for children
-        const beforeNodes = [];
-        const insideNodes = [];
-        const afterNodes = [];
-        
-        // Use binary search to find the division points for children
-        const startIndex = this._findInsertionPoint(node.children, effectiveStart);
-        const endIndex = this._findInsertionPoint(node.children, effectiveEnd);
-        
-        // Process children based on their position
-        for (let i = 0; i < node.children.length; i++) {
-          const child = node.children[i];
-          if (child.interval[1] <= effectiveStart) {
-            // Child is entirely before removal interval
-            beforeNodes.push(child);
-          } else if (child.interval[0] >= effectiveEnd) {
-            // Child is entirely after removal interval
-            afterNodes.push(child);
-          } else {
-            // Child overlaps with removal interval - needs further processing
-            const childResult = this._removeTagDFS(child, tag, effectiveStart, effectiveEnd);
-            if (childResult.state === 'REMOVE-ENTIRE-NODE' || childResult.state === 'REMOVE-INTERVAL-INSIDE') {
-              // If child is completely removed or split, add its rehook nodes
-              rehookNodeList.push(...childResult.rehookNodeList);
-            } else if (childResult.state === 'REMOVE-INTERVAL-LEFT' || childResult.state === 'REMOVE-INTERVAL-RIGHT') {
-              // If child is partially removed, it's still in the tree
-              insideNodes.push(child);
-            } else {
-              // If nothing was removed, keep the child as is
-              insideNodes.push(child);
-            }
-          }
-        }
-        
-        // Create pre-tag node (before the removal interval)
-        if (effectiveStart > originalStart) {
-          const preTagNode = new IntervalNode(originalStart, effectiveStart, tag);
-          preTagNode.children = beforeNodes;
-          rehookNodeList.push(preTagNode);
-        } else {
-          // If removal starts at node start, just add before nodes to rehook list
-          rehookNodeList.push(...beforeNodes);
-        }
-        
-        // Add inside nodes to rehook list
-        rehookNodeList.push(...insideNodes);
-        
-        // Create post-tag node (after the removal interval)
-        if (effectiveEnd < originalEnd) {
-          const postTagNode = new IntervalNode(effectiveEnd, originalEnd, tag);
-          postTagNode.children = afterNodes;
-          rehookNodeList.push(postTagNode);
-        } else {
-          // If removal ends at node end, just add after nodes to rehook list
-          rehookNodeList.push(...afterNodes);
-        }
-        
-        return {
-          removed: true,
-          state: 'REMOVE-INTERVAL-INSIDE',
-          remainingInterval: [end, end], // Empty interval since we've handled it
-          rehookNodeList: rehookNodeList
-        };
-      }
-      
-      // Case 2: Remove-interval starts at or before tag start but ends within tag
-      if (effectiveStart <= originalStart && effectiveEnd < originalEnd) {
-        // Adjust this node's interval to start at the end of the removal
-        node.interval[0] = effectiveEnd;
-        
-        // Use binary search to find children that need processing
-        const cutoffIndex = this._findInsertionPoint(node.children, effectiveEnd);
-        
-        // Process any children that might be affected
-        const childrenToRemove = [];
-        for (let i = 0; i < node.children.length; i++) {
-          const child = node.children[i];
-          if (child.interval[1] <= effectiveEnd) {
-            // This child is entirely removed
-            childrenToRemove.push(i);
-          } else if (child.interval[0] < effectiveEnd) {
-            // This child is partially affected
-            const childResult = this._removeTagDFS(child, tag, effectiveStart, effectiveEnd);
-            if (childResult.removed && childResult.state === 'REMOVE-ENTIRE-NODE') {
-              childrenToRemove.push(i);
-              // Add any rehook nodes back to the node's children
-              for (const rehookNode of childResult.rehookNodeList) {
-                if (rehookNode.interval[0] >= effectiveEnd) {
-                  const insertPos = this._findInsertionPoint(node.children, rehookNode.interval[0]);
-                  node.children.splice(insertPos, 0, rehookNode);
-                }
-              }
-            }
-          }
-        }
-        
-        // Remove affected children (in reverse order to not mess up indices)
-        for (let i = childrenToRemove.length - 1; i >= 0; i--) {
-          node.children.splice(childrenToRemove[i], 1);
-        }
-        
-        return {
-          removed: true, 
-          state: 'REMOVE-INTERVAL-LEFT',
-          remainingInterval: [effectiveEnd, end],
-          rehookNodeList: []
-        };
-      }
-      
-      // Case 3: Remove-interval starts within tag but extends to or beyond tag end
-      if (effectiveStart > originalStart && effectiveEnd >= originalEnd) {
-        // Adjust this node's interval to end at the start of the removal
-        node.interval[1] = effectiveStart;
-        
-        // Use binary search to find children that need processing
-        const startIndex = this._findInsertionPoint(node.children, effectiveStart);
-        
-        // Process any children that might be affected
-        const childrenToRemove = [];
-        for (let i = 0; i < node.children.length; i++) {
-          const child = node.children[i];
-          if (child.interval[0] >= effectiveStart) {
-            // This child is entirely removed
-            childrenToRemove.push(i);
-          } else if (child.interval[1] > effectiveStart) {
-            // This child is partially affected
-            const childResult = this._removeTagDFS(child, tag, effectiveStart, child.interval[1]);
-            if (childResult.removed && childResult.state === 'REMOVE-ENTIRE-NODE') {
-              childrenToRemove.push(i);
-              // Add any rehook nodes back to the node's children
-              for (const rehookNode of childResult.rehookNodeList) {
-                if (rehookNode.interval[1] <= effectiveStart) {
-                  const insertPos = this._findInsertionPoint(node.children, rehookNode.interval[0]);
-                  node.children.splice(insertPos, 0, rehookNode);
-                }
-              }
-            }
-          }
-        }
-        
-        // Remove affected children (in reverse order to not mess up indices)
-        for (let i = childrenToRemove.length - 1; i >= 0; i--) {
-          node.children.splice(childrenToRemove[i], 1);
-        }
-        
-        return {
-          removed: true,
-          state: 'REMOVE-INTERVAL-RIGHT',
-          remainingInterval: [start, effectiveStart],
-          rehookNodeList: []
-        };
-      }
-      
-      // Case 4: Remove-interval completely covers tag
-      if (effectiveStart <= originalStart && effectiveEnd >= originalEnd) {
-        // Process children to see if any need tag removal too
-        const processedChildren = [];
-        for (const child of node.children) {
-          // If child overlaps with removal interval
-          if (child.interval[0] < effectiveEnd && child.interval[1] > effectiveStart) {
-            const childResult = this._removeTagDFS(child, tag, effectiveStart, effectiveEnd);
-            if (childResult.removed) {
-              // Add rehook nodes from child
-              processedChildren.push(...childResult.rehookNodeList);
-            } else {
-              // Keep child as is
-              processedChildren.push(child);
-            }
-          } else {
-            // Child doesn't overlap, keep it
-            processedChildren.push(child);
-          }
-        }
-        
-        return {
-          removed: true,
-          state: 'REMOVE-ENTIRE-NODE',
-          remainingInterval: [effectiveEnd, end],
-          rehookNodeList: processedChildren
-        };
+        // Case 1: Remove-interval is inside a tag (not touching start and end position)
+        state = 'REMOVE-INTERVAL-INSIDE';
+      } else if (effectiveEnd < originalEnd) {
+        // Case 2: Remove-interval starts at or before tag start but ends within tag
+        state = 'REMOVE-INTERVAL-LEFT';
+      } else if (effectiveStart > originalStart) {
+        // Case 3: Remove-interval starts within tag but extends to or beyond tag end
+        state = 'REMOVE-INTERVAL-RIGHT';
+      } else {
+        // Case 4: Remove-interval completely covers tag
+        state = 'REMOVE-ENTIRE-NODE';
       }
+      
+      return {
+        removed: true,
+        state: state,
+        remainingInterval: [Math.min(effectiveEnd, end), end],
+        rehookNodeList: rehookNodeList
+      };
     }
     
-    // This node doesn't have the tag to remove, so process children
+    // This node doesn't have the tag to remove, so process the children overlapping the interval
     let removed = false;
+    let replaced = false;
+    const children = [];
     
-    // Use binary search to find children that might overlap with the removal interval
-    let startIdx = this._findInsertionPoint(node.children, effectiveStart);
-    if (startIdx > 0 && node.children[startIdx - 1].interval[1] > effectiveStart) {
-      startIdx--;
-    }
-    
-    let i = startIdx;
-    while (i < node.children.length) {
-      const child = node.children[i];
-      
-      // Skip if no overlap
-      if (effectiveEnd <= child.interval[0] || effectiveStart >= child.interval[1]) {
-        i++;
-        continue;
-      }
+    const first = this._firstChildAfter(node, effectiveStart);
+    let last = first;
+    for (; last < node.children.length && node.children[last].interval[0] < effectiveEnd; last++) {
+      const child = node.children[last];
+      const childResult = this._removeTagDFS(child, tag, start, end, `${path}.children[${last}]`, steps);
       
-      const childResult = this._removeTagDFS(child, tag, start, end);
-      
-      if (childResult.removed) {
+      if (childResult.state === 'PROCESSED_CHILDREN' || childResult.state === 'NO_OVERLAP') {
+        // The child was kept, though tags may have been removed below it
+        removed = removed || childResult.removed;
+        children.push(child);
+      } else {
+        // The child had the tag: replace it with its rehook nodes, and continue with remaining interval
         removed = true;
-        
-        if (childResult.state === 'REMOVE-ENTIRE-NODE' || 
-            childResult.state === 'REMOVE-INTERVAL-INSIDE') {
-          // Remove this child and add its rehook nodes
-          node.children.splice(i, 1);
-          
-          // Insert rehook nodes at the right positions
-          if (childResult.rehookNodeList.length > 0) {
-            // Insert rehook nodes in sorted order
-            for (const rehookNode of childResult.rehookNodeList) {
-              const insertPos = this._findInsertionPoint(node.children, rehookNode.interval[0]);
-              node.children.splice(insertPos, 0, rehookNode);
-            }
-            
-            // Update position for next iteration
-            i = this._findInsertionPoint(node.children, effectiveStart);
-            if (i > 0 && node.children[i - 1].interval[1] > effectiveStart) {
-              i--;
-            }
-          }
-        } else {
-          // For LEFT and RIGHT states, the child was adjusted, so keep it
-          i++;
-        }
-        
-        // Continue with remaining interval if any
-        if (childResult.remainingInterval[0] < childResult.remainingInterval[1]) {
-          // Call recursively with remaining interval
-          const remainingResult = this._removeTagDFS(
-            node, 
-            tag, 
-            childResult.remainingInterval[0], 
-            childResult.remainingInterval[1]
-          );
-          
-          if (remainingResult.removed) {
-            removed = true;
-          }
+        replaced = true;
+        for (const rehooked of childResult.rehookNodeList) {
+          children.push(rehooked);
         }
-      } else {
-        i++;
       }
     }
     
-    // Ensure child intervals are properly nested within parent
-    for (const child of node.children) {
-      child.interval[0] = Math.max(child.interval[0], node.interval[0]);
-      child.interval[1] = Math.min(child.interval[1], node.interval[1]);
+    // Rehooked nodes may touch siblings with same tag (Merged property)
+    if (replaced) {
+      this._replaceChildren(node, first, last, children);
+      this._mergeTouchingChildren(node, first, first + children.length + 1);
     }
     
     return {
@@ -547,108 +523,3929 @@ class TaggedIntervalTree {
     };
   }
   
-  // Check if an interval has a specific tag
-  hasTag(tag, interval) {
-    const [start, end] = interval;
-    return this._checkTagDFS(this.root, tag, start, end);
+  // Split the subtree of node at position, returning [left, right]; a part is null when it would be empty
+  _splitNode(node, position) {
+    if (position <= node.interval[0]) return [null, node];
+    if (position >= node.interval[1]) return [node, null];
+    
+    const left = new IntervalNode(node.interval[0], position, node.tag, node.attributes);
+    const right = new IntervalNode(position, node.interval[1], node.tag, node.attributes);
+    for (const child of node.children) {
+      const [childLeft, childRight] = this._splitNode(child, position);
+      if (childLeft) left.children.push(childLeft);
+      if (childRight) right.children.push(childRight);
+    }
+    return [left, right];
   }
   
-  _checkTagDFS(node, tag, start, end) {
-    // If this node has the tag and fully contains the interval
-    if (node.tag === tag && 
-        node.interval[0] <= start && 
-        node.interval[1] >= end) {
-      return true;
+  // Split children into sorted lists of nodes before start, inside [start, end] and after end
+  _partitionChildren(children, start, end) {
+    const before = [];
+    const inside = [];
+    const after = [];
+    
+    for (const child of children) {
+      const [left, rest] = this._splitNode(child, start);
+      if (left) before.push(left);
+      if (rest) {
+        const [middle, right] = this._splitNode(rest, end);
+        if (middle) inside.push(middle);
+        if (right) after.push(right);
+      }
     }
     
-    // Use binary search to find children that might overlap
-    let i = this._findInsertionPoint(node.children, start);
-    if (i > 0 && node.children[i - 1].interval[1] > start) {
-      i--;
+    return { before, inside, after };
+  }
+  
+  // Remove every tag from an interval, in one pass over the nodes overlapping it
+  // Returns whether any tag was removed.
+  clearFormatting(interval) {
+    const [start, end] = interval;
+    if (start >= end) return false; // Invalid interval
+    
+    const children = [];
+    const first = this._firstChildAfter(this.root, start);
+    let last = first;
+    for (; last < this.root.children.length && this.root.children[last].interval[0] < end; last++) {
+      const [before, after] = this._clearFormattingDFS(this.root.children[last], start, end);
+      if (before) children.push(before);
+      if (after) children.push(after);
     }
+    // Parts of nodes keep their order and never touch siblings with the same tag, so no merging is needed
+    this._replaceChildren(this.root, first, last, children);
+    const removed = last > first;
     
-    // Check relevant children
-    while (i < node.children.length) {
-      const child = node.children[i];
-      
-      // Skip if no overlap
-      if (end <= child.interval[0] || start >= child.interval[1]) {
-        i++;
-        continue;
-      }
-      
-      if (this._checkTagDFS(child, tag, start, end)) {
-        return true;
+    this._checkInvariants(`clearFormatting([${start},${end}])`);
+    if (removed) {
+      this._emit({ type: 'tagRemoved', tag: null, start, end });
+    }
+    return removed;
+  }
+  
+  // Parts of the subtree of node before start and after end, [before, after], where a part is null when it would be empty
+  _clearFormattingDFS(node, start, end) {
+    const [nodeStart, nodeEnd] = node.interval;
+    const before = nodeStart < start ? new IntervalNode(nodeStart, start, node.tag, node.attributes) : null;
+    const after = nodeEnd > end ? new IntervalNode(end, nodeEnd, node.tag, node.attributes) : null;
+    
+    for (const child of node.children) {
+      if (child.interval[1] <= start) {
+        before.children.push(child);
+      } else if (child.interval[0] >= end) {
+        after.children.push(child);
+      } else {
+        const [childBefore, childAfter] = this._clearFormattingDFS(child, start, end);
+        if (childBefore) before.children.push(childBefore);
+        if (childAfter) after.children.push(childAfter);
       }
-      
-      i++;
     }
     
-    return false;
+    return [before, after];
   }
   
-  // Get formatted text
-  getFormattedText(text) {
-    // Collect all formatting tags at each position
-    const markers = [];
+  // Replace oldTag with newTag in an interval, like b with strong, keeping the attributes of each part
+  // Where newTag is already there with other attributes, the attributes of oldTag override them, as for addTag.
+  // Returns whether any tag was replaced.
+  replaceTag(oldTag, newTag, interval) {
+    const [start, end] = interval;
+    if (start >= end || oldTag === newTag) return false;
     
-    function collectMarkers(node, parentTags = []) {
-      if (node.tag) {
-        // Add opening tag
-        markers.push({
-          position: node.interval[0],
-          tag: node.tag,
-          isOpening: true
-        });
-        
-        // Add closing tag
-        markers.push({
-          position: node.interval[1],
-          tag: node.tag,
-          isOpening: false
-        });
+    const parts = [];
+    this._collectTagDFS(this.root, oldTag, start, end, parts);
+    if (parts.length === 0) return false;
+    
+    this._removeTag(oldTag, interval);
+    for (const part of parts) {
+      this.addTag(newTag, [part.start, part.end], part.node.attributes);
+    }
+    return true;
+  }
+  
+  // Toggle a tag like word processors do: remove it if the whole interval has it, otherwise add it where it is missing
+  // Returns 'added' or 'removed', or null for an invalid interval.
+  toggleTag(tag, interval, attributes = null) {
+    const [start, end] = interval;
+    if (start >= end) return null; // Invalid interval
+    
+    const { coverage, ranges } = this.getTagCoverage(tag, interval);
+    if (coverage === 'full') {
+      this.removeTag(tag, interval);
+      return 'removed';
+    }
+    
+    // Add to the uncovered parts only, so attributes of the covered parts are kept
+    let position = start;
+    for (const [rangeStart, rangeEnd] of ranges) {
+      this.addTag(tag, [position, rangeStart], attributes);
+      position = rangeEnd;
+    }
+    this.addTag(tag, [position, end], attributes);
+    return 'added';
+  }
+  
+  // Set the block type (see BlockList.TYPES) of the lines overlapping interval; returns the number of lines changed
+  setBlockType(type, interval) {
+    if (!this.blocks) {
+      throw new Error('The tree has no blocks');
+    }
+    const changed = this.blocks.setType(type, interval);
+    if (changed > 0) {
+      this._emit({ type: 'blockTypeChanged', blockType: type, start: interval[0], end: interval[1] });
+    }
+    return changed;
+  }
+  
+  // Add an annotation { id, start, end, type, author, payload } (see AnnotationList); returns it with its id
+  addAnnotation(annotation) {
+    const added = this._annotationList().add(annotation);
+    this._emit({ type: 'annotationChanged', id: added.id, start: added.start, end: added.end });
+    return added;
+  }
+  
+  // Change the author or payload of an annotation; returns false when there is none with id
+  updateAnnotation(id, changes) {
+    const annotation = this._annotationList().get(id);
+    if (!annotation || !this.annotations.update(id, changes)) return false;
+    this._emit({ type: 'annotationChanged', id, start: annotation.start, end: annotation.end });
+    return true;
+  }
+  
+  removeAnnotation(id) {
+    const annotation = this._annotationList().get(id);
+    if (!annotation) return false;
+    this.annotations.remove(id);
+    this._emit({ type: 'annotationChanged', id, start: annotation.start, end: annotation.end });
+    return true;
+  }
+  
+  // Annotations containing the character at position
+  getAnnotationsAt(position) {
+    return this.annotations ? this.annotations.at(position) : [];
+  }
+  
+  _annotationList() {
+    if (!this.annotations) {
+      throw new Error('The tree has no annotations');
+    }
+    return this.annotations;
+  }
+  
+  // Shift intervals for text inserted at position
+  // With blocks, text is the inserted text: its line breaks split blocks, and get no tags but those spanning blocks.
+  insertText(position, length, text = null) {
+    if (length <= 0) return; // Nothing inserted
+    if (position < this.root.interval[0] || position > this.root.interval[1]) return; // Outside of text
+    if (this.blocks && (text === null || text.length !== length)) {
+      throw new Error('insertText needs the inserted text when the tree has blocks');
+    }
+    
+    // The root always covers the whole text, so it grows even when text is inserted at its edges
+    this.root.interval[1] += length;
+    this._insertTextDFS(this.root, position, length);
+    this._checkInvariants(`insertText(${position}, ${length})`);
+    if (this.blocks) {
+      this.blocks.insertText(position, text);
+    }
+    if (this.annotations) {
+      this.annotations.insertText(position, length);
+    }
+    this._emit({ type: 'textChanged', start: position, end: position + length, deleted: 0 });
+    
+    if (this.blocks) {
+      for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) {
+        for (const tag of this.getTagsAt(position + i)) {
+          if (!TaggedIntervalTree.tags.spansBlocks(tag)) {
+            this._removeTag(tag, [position + i, position + i + 1]);
+          }
+        }
       }
+    }
+  }
+  
+  _insertTextDFS(node, position, length) {
+    // Children ending before the insertion point are not affected
+    let i = this._findInsertionPoint(node.children, position);
+    if (i > 0 && node.children[i - 1].interval[1] >= position) {
+      i--;
+    }
+    
+    for (; i < node.children.length; i++) {
+      const child = node.children[i];
       
-      // Process children
-      for (const child of node.children) {
-        collectMarkers(child, node.tag ? [...parentTags, node.tag] : parentTags);
+      if (position <= child.interval[0]) {
+        // Inserted before the child: shift the whole subtree
+        this._shiftDFS(child, length);
+      } else if (position <= child.interval[1]) {
+        // Inserted inside or at the end of the child: new text inherits the tag of text to the left
+        child.interval[1] += length;
+        this._insertTextDFS(child, position, length);
       }
     }
+  }
+  
+  _shiftDFS(node, offset) {
+    node.interval[0] += offset;
+    node.interval[1] += offset;
+    for (const child of node.children) {
+      this._shiftDFS(child, offset);
+    }
+  }
+  
+  // Remove text in interval [start, end], shrinking or dropping intervals
+  deleteRange(start, end) {
+    start = Math.max(start, this.root.interval[0]);
+    end = Math.min(end, this.root.interval[1]);
+    if (start >= end) return; // Invalid interval
+    
+    this._deleteRangeDFS(this.root, start, end);
+    if (this.blocks) {
+      this.blocks.deleteRange(start, end);
+    }
+    if (this.annotations) {
+      this.annotations.deleteRange(start, end);
+    }
+    this._checkInvariants(`deleteRange(${start}, ${end})`);
+    this._emit({ type: 'textChanged', start, end: start, deleted: end - start });
+  }
+  
+  _deleteRangeDFS(node, start, end) {
+    const length = end - start;
+    const mapPosition = (position) => {
+      if (position <= start) return position;
+      if (position >= end) return position - length;
+      return start;
+    };
     
-    collectMarkers(this.root);
+    node.interval[0] = mapPosition(node.interval[0]);
+    node.interval[1] = mapPosition(node.interval[1]);
     
-    // Sort markers by position (closing tags come before opening tags at same position)
-    markers.sort((a, b) => {
-      if (a.position === b.position) {
-        return a.isOpening ? 1 : -1;
+    // Children ending before the deleted text are not affected
+    const first = this._firstChildAfter(node, start);
+    let last = first;
+    const keptChildren = [];
+    for (; last < node.children.length && node.children[last].interval[0] < end; last++) {
+      const child = node.children[last];
+      this._deleteRangeDFS(child, start, end);
+      // Drop children whose whole interval was deleted
+      if (child.interval[0] < child.interval[1]) {
+        keptChildren.push(child);
       }
-      return a.position - b.position;
-    });
-    
-    // Insert tags into text
-    let result = '';
-    let lastPosition = 0;
+    }
+    // Children entirely after deleted text
+    for (let i = last; i < node.children.length; i++) {
+      this._shiftDFS(node.children[i], -length);
+    }
+    this._replaceChildren(node, first, last, keptChildren);
     
-    for (const marker of markers) {
-      // Add text up to this marker
-      result += text.substring(lastPosition, marker.position);
-      lastPosition = marker.position;
-      
-      // Add tag
-      if (marker.isOpening) {
-        result += `<${marker.tag}>`;
+    // Same tag siblings on each side of the deleted text may now touch (Merged property)
+    this._mergeTouchingChildren(node, first, first + keptChildren.length + 1);
+  }
+  
+  // Merge neighboring children with same tag that touch each other, including their children
+  // Only children from index first to last (exclusive) are merged into the child before them, so changes
+  // only look at the children around where they changed.
+  _mergeTouchingChildren(node, first = 1, last = node.children.length) {
+    const from = Math.max(0, first - 1);
+    const to = Math.min(node.children.length, last);
+    const merged = [];
+    for (let i = from; i < to; i++) {
+      const child = node.children[i];
+      const previous = merged[merged.length - 1];
+      if (previous && previous.tag === child.tag && previous.hasAttributes(child.attributes) &&
+          previous.interval[1] >= child.interval[0]) {
+        // Only the children where the two meet can touch
+        const junction = previous.children.length;
+        previous.interval[1] = Math.max(previous.interval[1], child.interval[1]);
+        for (const grandchild of child.children) {
+          previous.children.push(grandchild);
+        }
+        this._mergeTouchingChildren(previous, junction, junction + 1);
       } else {
-        result += `</${marker.tag}>`;
+        merged.push(child);
       }
     }
+    if (merged.length < to - from) {
+      this._replaceChildren(node, from, to, merged);
+    }
+  }
+  
+  // Copy of [start, end] of text as a document { text, tree }, with intervals moved to start at 0, and the blocks of its lines
+  extractRange(interval, text) {
+    const start = Math.max(interval[0], this.root.interval[0]);
+    const end = Math.max(start, Math.min(interval[1], this.root.interval[1]));
+    const extracted = text.substring(start, end);
+    
+    const tree = new TaggedIntervalTree(0, end - start);
+    tree.root.children = this._extractRangeDFS(this.root, start, end);
+    if (this.blocks) {
+      const types = this.blocks.toJSON().slice(this.blocks._indexAt(start), this.blocks._indexAt(end) + 1);
+      tree.blocks = BlockList.fromJSON(types, extracted);
+    }
+    return { text: extracted, tree: tree };
+  }
+  
+  // Copies of the children of node overlapping [start, end], clipped to it and moved back by start
+  _extractRangeDFS(node, start, end) {
+    const copies = [];
+    for (let i = this._firstChildAfter(node, start); i < node.children.length && node.children[i].interval[0] < end; i++) {
+      const child = node.children[i];
+      const childStart = Math.max(start, child.interval[0]);
+      const childEnd = Math.min(end, child.interval[1]);
+      if (childStart >= childEnd) continue;
+      
+      const copy = new IntervalNode(childStart - start, childEnd - start, child.tag, child.attributes);
+      copy.children = this._extractRangeDFS(child, start, end);
+      copies.push(copy);
+    }
+    return copies;
+  }
+  
+  // Insert a document { text, tree }, like one from extractRange, at position
+  // The inserted text gets the tags of the document instead of those of the text to its left, and they merge with
+  // the same tags around it. With blocks on both, lines whose text all comes from the document get its block types;
+  // the first and last lines keep their type when they share the line with text that was there.
+  insertDocument(position, document) {
+    const { text, tree } = document;
+    if (text.length === 0) return; // Nothing inserted
+    if (position < this.root.interval[0] || position > this.root.interval[1]) return; // Outside of text
     
-    // Add remaining text
-    result += text.substring(lastPosition);
+    const line = this.blocks && this.blocks.blockAt(position);
+    this.insertText(position, text.length, text);
+    this.clearFormatting([position, position + text.length]);
+    // Outer tags first, so tags nest as in the document where they can
+    this._insertDocumentDFS(tree.root, position - tree.root.interval[0]);
     
-    return result;
+    if (this.blocks && tree.blocks) {
+      const blocks = tree.blocks.getBlocks();
+      blocks.forEach((block, index) => {
+        const textBefore = index === 0 && position > line.start;
+        const textAfter = index === blocks.length - 1 && position < line.end;
+        if (!textBefore && !textAfter) {
+          this.blocks.setType(block.type, [position + block.start, position + block.start]);
+        }
+      });
+    }
+    this._checkInvariants(`insertDocument(${position}, ${text.length})`);
   }
   
-  toString() {
-    return this.root.toString();
+  _insertDocumentDFS(node, offset) {
+    for (const child of node.children) {
+      this.addTag(child.tag, [child.interval[0] + offset, child.interval[1] + offset], child.attributes);
+      this._insertDocumentDFS(child, offset);
+    }
+  }
+  
+  // Check if an interval has a specific tag
+  // The tag may come from several adjacent nodes, even at different depths of the tree.
+  hasTag(tag, interval) {
+    const [start, end] = interval;
+    if (start >= end) {
+      return this.getTagsAt(start).includes(tag);
+    }
+    return this.getTagCoverage(tag, interval).coverage === 'full';
   }
+  
+  // Tags of the character at position, outermost first
+  getTagsAt(position) {
+    const tags = [];
+    let node = this.root;
+    
+    while (node) {
+      // Use binary search to find the child containing position
+      let i = this._findInsertionPoint(node.children, position);
+      if (i === node.children.length || node.children[i].interval[0] > position) {
+        i--;
+      }
+      
+      const child = node.children[i];
+      node = child && child.interval[0] <= position && position < child.interval[1] ? child : null;
+      if (node) {
+        tags.push(node.tag);
+      }
+    }
+    
+    return tags;
+  }
+  
+  // How much of interval has tag: { coverage: 'full' | 'partial' | 'none', ranges: [[start, end], ...] }
+  getTagCoverage(tag, interval) {
+    const [start, end] = interval;
+    if (start >= end) {
+      return { coverage: 'none', ranges: [] };
+    }
+    
+    const parts = [];
+    this._collectTagDFS(this.root, tag, start, end, parts);
+    
+    // Join parts touching each other, like same tag nodes at different depths
+    const ranges = [];
+    for (const part of parts) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === part.start) {
+        last[1] = part.end;
+      } else {
+        ranges.push([part.start, part.end]);
+      }
+    }
+    
+    // Line breaks between blocks never have tags, so they do not count
+    const required = this.blocks ? this.blocks.blockParts(interval) : [[start, end]];
+    let coverage = 'partial';
+    if (ranges.length === 0) {
+      coverage = 'none';
+    } else if (required.every(([partStart, partEnd]) => ranges.some(range => range[0] <= partStart && partEnd <= range[1]))) {
+      coverage = 'full';
+    }
+    
+    return { coverage, ranges };
+  }
+  
+  // Split the text into runs with the same tags: [{ start, end, tags, attributes }, ...]
+  // tags lists active tags outermost first; attributes maps each tag having attributes to them.
+  // With interval, only the runs inside it are made, so a part of a long text is quick to render.
+  getSegments(interval = null) {
+    const [from, to] = interval || this.root.interval;
+    const segments = [];
+    
+    const addSegment = (start, end, activeNodes) => {
+      start = Math.max(start, from);
+      end = Math.min(end, to);
+      if (start >= end) return;
+      
+      const tags = activeNodes.map(node => node.tag);
+      const attributes = {};
+      for (const node of activeNodes) {
+        if (node.attributes) {
+          attributes[node.tag] = { ...node.attributes };
+        }
+      }
+      
+      // Join with previous segment when the active tags are the same, like for adjacent nodes at different depths
+      const last = segments[segments.length - 1];
+      if (last && last.end === start && TaggedIntervalTree._sameSegmentTags(last, tags, attributes)) {
+        last.end = end;
+      } else {
+        segments.push({ start, end, tags, attributes });
+      }
+    };
+    
+    const visit = (node, activeNodes) => {
+      let i = this._firstChildAfter(node, from);
+      let position = i > 0 ? node.children[i - 1].interval[1] : node.interval[0];
+      for (; i < node.children.length && node.children[i].interval[0] < to; i++) {
+        const child = node.children[i];
+        addSegment(position, child.interval[0], activeNodes);
+        visit(child, [...activeNodes, child]);
+        position = child.interval[1];
+      }
+      addSegment(position, node.interval[1], activeNodes);
+    };
+    
+    visit(this.root, []);
+    return segments;
+  }
+  
+  static _sameSegmentTags(segment, tags, attributes) {
+    if (segment.tags.length !== tags.length) return false;
+    
+    return tags.every(tag => segment.tags.includes(tag) &&
+      IntervalNode.sameAttributes(segment.attributes[tag], attributes[tag]));
+  }
+  
+  // Formatting as well-nested elements [{ tag, attributes, start, end, children }], with text { start, end } as leaves
+  // By default every node is one element. With options.minimal, elements are built from the segments instead:
+  // at each segment, elements of tags that end are closed together with the elements inside them, which are
+  // opened again, and new tags are opened longest run first, so runs reaching further enclose the others and
+  // fewer elements are needed. Tags in options.innermost go inside other tags with the same run.
+  // With options.interval, only elements with text inside it are made, though they may reach outside of it.
+  getElements(options = {}) {
+    const { minimal = false, innermost = [], interval = null } = options;
+    if (!minimal) {
+      return TaggedIntervalTree._nodeElements(this.root, interval || this.root.interval).children;
+    }
+    
+    const segments = this.getSegments(interval);
+    const root = { children: [] };
+    const open = [root];
+    
+    const hasTag = (segment, element) => segment.tags.includes(element.tag) &&
+      IntervalNode.sameAttributes(segment.attributes[element.tag], element.attributes);
+    
+    const runEnd = (index, element) => {
+      let last = index;
+      while (last + 1 < segments.length && segments[last + 1].start === segments[last].end &&
+             hasTag(segments[last + 1], element)) {
+        last++;
+      }
+      return segments[last].end;
+    };
+    
+    segments.forEach((segment, index) => {
+      let depth = 1;
+      while (depth < open.length && hasTag(segment, open[depth])) {
+        depth++;
+      }
+      open.length = depth;
+      
+      const opening = segment.tags
+        .filter(tag => !open.some(element => element.tag === tag))
+        .map(tag => {
+          const element = { tag, attributes: segment.attributes[tag] || null, start: segment.start, end: segment.end, children: [] };
+          return { element, end: runEnd(index, element) };
+        });
+      
+      // Close an open element ending before several of the new ones and open it again inside, instead of splitting them
+      while (open.length > 1 && opening.length > 0) {
+        const top = open[open.length - 1];
+        const topEnd = runEnd(index, top);
+        if (opening.filter(other => other.end > topEnd).length <= 1) break;
+        
+        open.pop();
+        const element = { tag: top.tag, attributes: top.attributes, start: segment.start, end: segment.end, children: [] };
+        opening.push({ element, end: topEnd });
+      }
+      
+      opening.sort((a, b) => b.end - a.end || innermost.includes(a.element.tag) - innermost.includes(b.element.tag));
+      for (const { element } of opening) {
+        open[open.length - 1].children.push(element);
+        open.push(element);
+      }
+      for (const element of open) {
+        element.end = segment.end;
+      }
+      open[open.length - 1].children.push({ start: segment.start, end: segment.end });
+    });
+    
+    return root.children;
+  }
+  
+  // Element of node, leaving out children with no text in interval
+  static _nodeElements(node, interval) {
+    const children = [];
+    let position = node.interval[0];
+    for (const child of node.children) {
+      if (child.interval[1] <= interval[0] || child.interval[0] >= interval[1]) {
+        position = child.interval[1];
+        continue;
+      }
+      if (position < child.interval[0]) {
+        children.push({ start: position, end: child.interval[0] });
+      }
+      children.push(TaggedIntervalTree._nodeElements(child, interval));
+      position = child.interval[1];
+    }
+    if (position < node.interval[1]) {
+      children.push({ start: position, end: node.interval[1] });
+    }
+    
+    const attributes = node.attributes ? { ...node.attributes } : null;
+    return { tag: node.tag, attributes, start: node.interval[0], end: node.interval[1], children };
+  }
+  
+  // Elements of tree for the whole text, with text outside the root as plain leaves
+  static _textElements(tree, text, options) {
+    const [start, end] = tree.root.interval;
+    return [{ start: 0, end: start }, ...tree.getElements(options), { start: end, end: text.length }]
+      .filter(element => element.tag || element.start < element.end);
+  }
+  
+  // Elements of _textElements inside block elements, when the tree has blocks
+  // Block elements have block: true, and the line breaks between blocks are left out. With lines
+  // ([first, last] block indexes), only those blocks are made. With options.annotations, the text in
+  // annotations of the tree is put in annotation elements (see _annotateElements).
+  static _blockElements(tree, text, options, lines = null) {
+    const elements = TaggedIntervalTree._blockElementsOf(tree, text, options, lines);
+    if (!options.annotations || !tree.annotations) {
+      return elements;
+    }
+    const start = elements.length > 0 ? elements[0].start : 0;
+    const end = elements.length > 0 ? elements[elements.length - 1].end : 0;
+    return TaggedIntervalTree._annotateElements(elements, tree.annotations.inRange([start, end]));
+  }
+  
+  static _blockElementsOf(tree, text, options, lines) {
+    if (!tree.blocks) {
+      return TaggedIntervalTree._textElements(tree, text, options);
+    }
+    
+    const blocks = tree.blocks.blocks;
+    const [first, last] = lines || [0, blocks.length - 1];
+    const interval = [blocks[first].start, blocks[last].end];
+    const elements = TaggedIntervalTree._textElements(tree, text, { ...options, interval });
+    
+    const result = [];
+    let group = null;
+    let index = 0;
+    for (let i = first; i <= last; i++) {
+      const block = blocks[i];
+      const html = BlockList.HTML_ELEMENTS[block.type];
+      // Elements are in order, so each block only clips those from the first one not ending before it
+      while (index < elements.length && elements[index].end < block.start) {
+        index++;
+      }
+      let next = index;
+      while (next < elements.length && elements[next].start <= block.end) {
+        next++;
+      }
+      const children = TaggedIntervalTree._clipElements(elements.slice(index, next), block.start, block.end);
+      const element = { tag: html.tag, attributes: null, start: block.start, end: block.end, children, block: true };
+      
+      if (!html.group) {
+        result.push(element);
+        group = null;
+        continue;
+      }
+      if (!group || group.tag !== html.group) {
+        group = { tag: html.group, attributes: null, start: block.start, end: block.end, children: [], block: true };
+        result.push(group);
+      }
+      group.children.push(element);
+      group.end = block.end;
+    }
+    return result;
+  }
+  
+  // Elements with their text split where annotations start and end, and the parts inside annotations
+  // put in elements { tag: 'mark', annotations, start, end, children } with the annotations around them
+  static _annotateElements(elements, annotations) {
+    const result = [];
+    for (const element of elements) {
+      if (element.tag) {
+        result.push({ ...element, children: TaggedIntervalTree._annotateElements(element.children, annotations) });
+        continue;
+      }
+      
+      const inside = annotations.filter(annotation => annotation.start < element.end && annotation.end > element.start);
+      const cuts = new Set([element.start, element.end]);
+      for (const annotation of inside) {
+        if (annotation.start > element.start) cuts.add(annotation.start);
+        if (annotation.end < element.end) cuts.add(annotation.end);
+      }
+      const positions = [...cuts].sort((a, b) => a - b);
+      for (let i = 0; i + 1 < positions.length; i++) {
+        const part = { start: positions[i], end: positions[i + 1] };
+        const around = inside.filter(annotation => annotation.start <= part.start && annotation.end >= part.end);
+        result.push(around.length > 0
+          ? { tag: 'mark', attributes: null, annotations: around, start: part.start, end: part.end, children: [part] }
+          : part);
+      }
+    }
+    return result;
+  }
+  
+  // Parts of elements inside [start, end], leaving out elements with no text there
+  static _clipElements(elements, start, end) {
+    const result = [];
+    for (const element of elements) {
+      const clipped = { ...element, start: Math.max(start, element.start), end: Math.min(end, element.end) };
+      if (clipped.start >= clipped.end) continue;
+      
+      if (element.tag) {
+        clipped.children = TaggedIntervalTree._clipElements(element.children, start, end);
+      }
+      result.push(clipped);
+    }
+    return result;
+  }
+  
+  // Check all tree properties, returning every violation as { path, property, message }
+  // path names the node, like root.children[0].children[2]; an empty list means the tree is valid.
+  validate() {
+    const violations = [];
+    this._validateDFS(this.root, 'root', null, [], violations);
+    return violations;
+  }
+  
+  _validateDFS(node, path, parent, ancestorTags, violations) {
+    const report = (nodePath, property, message) => {
+      violations.push({ path: nodePath, property, message });
+    };
+    const [start, end] = node.interval;
+    
+    if (parent === null) {
+      if (start > end) report(path, 'Interval', `interval [${start},${end}] has start after end`);
+    } else {
+      if (start >= end) report(path, 'Interval', `interval [${start},${end}] is empty`);
+      if (start < parent.interval[0] || end > parent.interval[1]) {
+        report(path, 'Inside', `interval [${start},${end}] is not inside parent [${parent.interval[0]},${parent.interval[1]}]`);
+      }
+      if (ancestorTags.includes(node.tag)) {
+        report(path, 'Tag', `tag ${node.tag} is already used by an ancestor`);
+      }
+    }
+    
+    const childAncestorTags = node.tag === null ? ancestorTags : [...ancestorTags, node.tag];
+    
+    node.children.forEach((child, index) => {
+      const childPath = `${path}.children[${index}]`;
+      const previous = node.children[index - 1];
+      
+      if (previous) {
+        if (child.interval[0] < previous.interval[0]) {
+          report(childPath, 'Sorted', `starts before children[${index - 1}]`);
+        } else if (child.interval[0] < previous.interval[1]) {
+          report(childPath, 'Non-overlapping', `overlaps children[${index - 1}]`);
+        } else if (child.tag === previous.tag && child.hasAttributes(previous.attributes) &&
+                   child.interval[0] === previous.interval[1]) {
+          report(childPath, 'Merged', `has same tag as children[${index - 1}] and touches it`);
+        }
+      }
+      
+      this._validateDFS(child, childPath, node, childAncestorTags, violations);
+    });
+  }
+  
+  static formatViolation(violation) {
+    return `${violation.path}: ${violation.message} (${violation.property} property)`;
+  }
+  
+  // In debug mode, throw when operation broke a tree property
+  _checkInvariants(operation) {
+    if (!this.debug) return;
+    
+    const violations = this.validate();
+    if (violations.length > 0) {
+      const error = new Error(`Tree corrupted after ${operation}: ${violations.map(TaggedIntervalTree.formatViolation).join('; ')}`);
+      error.violations = violations;
+      throw error;
+    }
+  }
+  
+  // Get formatted text as HTML; options.minimal uses fewer tags where tags overlap (see HTMLRenderer)
+  getFormattedText(text, options = {}) {
+    return new HTMLRenderer().render(this, text, options);
+  }
+  
+  // Opening tag of an HTML element with attributes ([name, value] pairs), like <a href="https://...">
+  static _openingHTMLTag(element, attributes) {
+    const htmlAttributes = attributes
+      .map(([name, value]) => ` ${name}="${TaggedIntervalTree.escapeHTML(value)}"`)
+      .join('');
+    return `<${element}${htmlAttributes}>`;
+  }
+  
+  // Render text with the formatting of the tree, in a format of TaggedIntervalTree.renderers like 'html' or 'markdown'
+  // options are passed to the renderer, like { minimal: true } for html or { container } for dom.
+  render(text, format = 'html', options = {}) {
+    const renderer = TaggedIntervalTree.renderers[format];
+    if (!renderer) {
+      throw new Error(`Unknown format: ${format}`);
+    }
+    return renderer.render(this, text, options);
+  }
+  
+  // Add or replace the renderer of a format; renderer.render(tree, text, options) returns the output
+  static registerRenderer(format, renderer) {
+    if (!renderer || typeof renderer.render !== 'function') {
+      throw new Error(`Renderer for ${format} must have a render(tree, text) method`);
+    }
+    TaggedIntervalTree.renderers[format] = renderer;
+  }
+  
+  // Render formatted text as DOM nodes into container, replacing its content
+  // Unlike getFormattedText, no HTML string is built, so the text is never parsed as markup.
+  renderToDOM(text, container) {
+    return new DOMRenderer().render(this, text, { container });
+  }
+  
+  // Tags with an HTML element in TaggedIntervalTree.tags are emitted; others are left out, keeping their text
+  static isAllowedHTMLTag(tag) {
+    return TaggedIntervalTree.tags.htmlElement(tag) !== null;
+  }
+  
+  // HTML element of an element of getElements or _blockElements, or null when it is left out
+  static _htmlElementOf(element) {
+    if (element.block) return element.tag;
+    if (element.annotations) return 'mark';
+    return TaggedIntervalTree.tags.htmlElement(element.tag);
+  }
+  
+  // HTML attributes of an element of getElements or _blockElements, as [name, value] pairs
+  // Annotation elements get classes of the types of their annotations, and their ids in data-annotations.
+  static _htmlAttributesOf(element) {
+    if (element.annotations) {
+      const types = [...new Set(element.annotations.map(annotation => `annotation-${annotation.type}`))];
+      return [
+        ['class', ['annotation', ...types].join(' ')],
+        ['data-annotations', element.annotations.map(annotation => annotation.id).join(' ')]
+      ];
+    }
+    return TaggedIntervalTree.safeHTMLAttributes(element.tag, element.attributes);
+  }
+  
+  // HTML attributes to emit for a node, as [name, value] pairs
+  // Style properties like color are combined into one style attribute; unsafe or unknown attributes are left out.
+  static safeHTMLAttributes(tag, attributes) {
+    if (!attributes) return [];
+    
+    const result = [];
+    const style = [];
+    const allowedAttributes = TaggedIntervalTree.ALLOWED_HTML_ATTRIBUTES[tag] || [];
+    
+    for (const name of Object.keys(attributes)) {
+      const value = String(attributes[name]);
+      
+      if (TaggedIntervalTree.ALLOWED_STYLE_PROPERTIES.includes(name)) {
+        // Plain values only, like red, #ff0000, rgb(255, 0, 0) or 12px; no url() or expression()
+        if (/^[#\w\s.,%()'"-]+$/.test(value) && !/(url|expression)\s*\(/i.test(value)) {
+          style.push(`${name}: ${value}`);
+        }
+      } else if (allowedAttributes.includes(name)) {
+        if (name === 'href' && !TaggedIntervalTree.isSafeURL(value)) continue;
+        result.push([name, value]);
+      }
+    }
+    
+    if (style.length > 0) {
+      result.push(['style', style.join('; ')]);
+    }
+    return result;
+  }
+  
+  // Only http(s), mailto and relative URLs are safe to link to
+  static isSafeURL(url) {
+    const compact = url.replace(/[\u0000-\u0020]/g, '');
+    const scheme = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(compact);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+  }
+  
+  static escapeHTML(string) {
+    const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return string.replace(/[&<>"']/g, character => escapes[character]);
+  }
+  
+  toJSON() {
+    return this.root.toJSON();
+  }
+  
+  // Build a tree from the output of toJSON (object or JSON string), checking all tree properties
+  static fromJSON(json) {
+    if (typeof json === 'string') {
+      try {
+        json = JSON.parse(json);
+      } catch (e) {
+        throw new Error(`Invalid tree: not valid JSON (${e.message})`);
+      }
+    }
+    
+    const tree = new TaggedIntervalTree();
+    tree.root = TaggedIntervalTree._nodeFromJSON(json, 'root', true);
+    
+    const violations = tree.validate();
+    if (violations.length > 0) {
+      throw new Error(`Invalid tree at ${TaggedIntervalTree.formatViolation(violations[0])}`);
+    }
+    return tree;
+  }
+  
+  // Build a node from JSON, checking its shape; tree properties are checked by validate
+  static _nodeFromJSON(json, path, isRoot) {
+    const fail = (message) => {
+      throw new Error(`Invalid tree at ${path}: ${message}`);
+    };
+    
+    if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+      fail('node must be an object');
+    }
+    
+    const interval = json.interval;
+    if (!Array.isArray(interval) || interval.length !== 2 ||
+        !Number.isInteger(interval[0]) || !Number.isInteger(interval[1])) {
+      fail('interval must be an array of two integers');
+    }
+    const [start, end] = interval;
+    
+    const tag = json.tag === undefined ? null : json.tag;
+    if (isRoot) {
+      if (tag !== null) fail('root must not have a tag');
+    } else if (typeof tag !== 'string' || tag === '') {
+      fail('tag must be a non-empty string');
+    }
+    
+    const attributes = json.attributes === undefined ? null : json.attributes;
+    if (attributes !== null) {
+      if (typeof attributes !== 'object' || Array.isArray(attributes) ||
+          Object.values(attributes).some(value => typeof value !== 'string')) {
+        fail('attributes must be an object with string values');
+      }
+      if (isRoot) fail('root must not have attributes');
+    }
+    
+    const children = json.children === undefined ? [] : json.children;
+    if (!Array.isArray(children)) fail('children must be an array');
+    
+    const node = new IntervalNode(start, end, tag, attributes);
+    node.children = children.map((childJson, index) =>
+      TaggedIntervalTree._nodeFromJSON(childJson, `${path}.children[${index}]`, false));
+    
+    return node;
+  }
+  
+  // Versioned document with the text and its tree
+  toDocument(text) {
+    const doc = {
+      version: TaggedIntervalTree.DOCUMENT_VERSION,
+      text: text,
+      tree: this.toJSON()
+    };
+    if (this.blocks) {
+      doc.blocks = this.blocks.toJSON();
+    }
+    if (this.annotations) {
+      doc.annotations = this.annotations.toJSON();
+    }
+    return doc;
+  }
+  
+  // Read a document made by toDocument (object or JSON string), returning { text, tree }
+  static fromDocument(doc) {
+    if (typeof doc === 'string') {
+      try {
+        doc = JSON.parse(doc);
+      } catch (e) {
+        throw new Error(`Invalid document: not valid JSON (${e.message})`);
+      }
+    }
+    
+    if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+      throw new Error('Invalid document: must be an object');
+    }
+    if (doc.version !== TaggedIntervalTree.DOCUMENT_VERSION) {
+      throw new Error(`Invalid document: unsupported version ${doc.version}, expected ${TaggedIntervalTree.DOCUMENT_VERSION}`);
+    }
+    if (typeof doc.text !== 'string') {
+      throw new Error('Invalid document: text must be a string');
+    }
+    
+    const tree = TaggedIntervalTree.fromJSON(doc.tree);
+    if (tree.root.interval[0] !== 0 || tree.root.interval[1] !== doc.text.length) {
+      throw new Error(`Invalid document: root interval [${tree.root.interval[0]},${tree.root.interval[1]}] does not cover text of length ${doc.text.length}`);
+    }
+    if (doc.blocks !== undefined) {
+      tree.blocks = BlockList.fromJSON(doc.blocks, doc.text);
+    }
+    if (doc.annotations !== undefined) {
+      tree.annotations = AnnotationList.fromJSON(doc.annotations, doc.text.length);
+    }
+    
+    return { text: doc.text, tree: tree };
+  }
+  
+  // Parse HTML markup into plain text and a tree, returning { text, tree }
+  // Elements are mapped to tags through TaggedIntervalTree.HTML_TAGS, then through the HTML elements of TaggedIntervalTree.tags;
+  // unknown elements are dropped, keeping their text.
+  // Misnested markup like <b><i>x</b>y</i> is handled by closing only the matching element.
+  // With options.blocks, block elements (TaggedIntervalTree.HTML_BLOCK_TYPES) become lines, the tree gets their blocks,
+  // and line breaks in the markup are read as spaces, like browsers show them.
+  static fromHTML(html, options = {}) {
+    let text = '';
+    const openTags = []; // Stack of { element, tag, attributes }
+    const runs = []; // Text runs with the tags active over them
+    let skipDepth = 0; // Inside <script> or <style>, whose content is not text
+    const blocks = Boolean(options.blocks);
+    const lineTypes = [null]; // Block type of each line, null until the line has text
+    let breakPending = false; // A block element or br was passed, so the next text starts a new line
+    
+    // Tags active at the top of the stack; nested elements with same tag override attributes of outer ones
+    const activeTags = () => {
+      const active = new Map();
+      for (const open of openTags) {
+        if (open.tag === null) continue;
+        active.set(open.tag, { ...(active.get(open.tag) || {}), ...open.attributes });
+      }
+      return active;
+    };
+    
+    // Type of the innermost block element open that sets one; p and div lines inside li or blockquote take their type
+    const blockType = () => {
+      for (let i = openTags.length - 1; i >= 0; i--) {
+        const type = TaggedIntervalTree.HTML_BLOCK_TYPES[openTags[i].element];
+        if (type && type !== 'p') return type;
+      }
+      return 'p';
+    };
+    
+    // Start the new line of a pending break, unless nothing was read yet
+    const startPendingLine = () => {
+      if (breakPending && text.length > 0) {
+        text += '\n';
+        lineTypes.push(null);
+      }
+      breakPending = false;
+    };
+    
+    const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*>|[^<]+|</g;
+    let match;
+    while ((match = tokenPattern.exec(html)) !== null) {
+      const token = match[0];
+      
+      if (token.startsWith('<!--')) {
+        continue; // Comment
+      }
+      
+      if (match[1]) {
+        const element = match[1].toLowerCase();
+        const isClosing = token[1] === '/';
+        
+        if (element === 'script' || element === 'style') {
+          skipDepth = Math.max(0, skipDepth + (isClosing ? -1 : 1));
+        } else if (blocks && element === 'br') {
+          // Breaks only count before more text, like the br browsers put in empty blocks
+          if (!isClosing && skipDepth === 0) {
+            startPendingLine();
+            breakPending = true;
+          }
+        } else if (element === 'br' && !isClosing && skipDepth === 0) {
+          runs.push({ start: text.length, end: text.length + 1, tags: activeTags() });
+          text += '\n';
+        } else if (!isClosing && !token.endsWith('/>')) {
+          if (blocks && TaggedIntervalTree.HTML_BLOCK_TYPES[element]) {
+            breakPending = true;
+          }
+          const { tag, attributes } = TaggedIntervalTree._tagForHTMLElement(element, token);
+          openTags.push({ element, tag, attributes });
+        } else if (isClosing) {
+          if (blocks && TaggedIntervalTree.HTML_BLOCK_TYPES[element]) {
+            breakPending = true;
+          }
+          // Close the innermost open element with this name, leaving misnested elements open
+          for (let i = openTags.length - 1; i >= 0; i--) {
+            if (openTags[i].element === element) {
+              openTags.splice(i, 1);
+              break;
+            }
+          }
+        }
+        continue;
+      }
+      
+      if (skipDepth > 0) continue;
+      
+      let decoded = TaggedIntervalTree._decodeHTMLEntities(token);
+      if (blocks) {
+        decoded = decoded.replace(/[\r\n]+/g, ' ');
+        // Whitespace between blocks is not text
+        if ((breakPending || text.length === 0) && decoded.trim() === '') continue;
+        startPendingLine();
+        if (decoded.length > 0 && lineTypes[lineTypes.length - 1] === null) {
+          lineTypes[lineTypes.length - 1] = blockType();
+        }
+      }
+      if (decoded.length > 0) {
+        runs.push({ start: text.length, end: text.length + decoded.length, tags: activeTags() });
+        text += decoded;
+      }
+    }
+    
+    // Collect continuous ranges per tag and attributes; repeated nested tags like <b><b>x</b></b> count once
+    const rangesByTag = new Map();
+    for (const run of runs) {
+      for (const [tag, attributes] of run.tags) {
+        if (!rangesByTag.has(tag)) rangesByTag.set(tag, []);
+        const ranges = rangesByTag.get(tag);
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === run.start && IntervalNode.sameAttributes(last.attributes, attributes)) {
+          last.end = run.end;
+        } else {
+          ranges.push({ start: run.start, end: run.end, attributes });
+        }
+      }
+    }
+    
+    const tree = new TaggedIntervalTree(0, text.length);
+    if (blocks) {
+      tree.blocks = BlockList.fromJSON(lineTypes.map(type => type || 'p'), text);
+    }
+    for (const [tag, ranges] of rangesByTag) {
+      for (const range of ranges) {
+        tree.addTag(tag, [range.start, range.end], range.attributes);
+      }
+    }
+    
+    return { text: text, tree: tree };
+  }
+  
+  // Parse inline Markdown into plain text and a tree, returning { text, tree }; see MarkdownParser
+  static fromMarkdown(markdown) {
+    return new MarkdownParser().parse(markdown);
+  }
+  
+  // Tag and attributes for an opening tag token of element; tag is null for elements that do not format anything
+  static _tagForHTMLElement(element, token) {
+    let tag = TaggedIntervalTree.HTML_TAGS[element] || TaggedIntervalTree.tags.tagForElement(element);
+    const attributes = tag ? TaggedIntervalTree._parseHTMLAttributes(tag, token) : {};
+    if (tag === 'span' && Object.keys(attributes).length === 0) {
+      tag = null; // A span without supported style does not format anything
+    }
+    return { tag, attributes };
+  }
+  
+  // Read the supported attributes of an opening tag token, like href of <a> or color in style of <span>
+  static _parseHTMLAttributes(tag, token) {
+    const attributes = {};
+    const allowedAttributes = TaggedIntervalTree.ALLOWED_HTML_ATTRIBUTES[tag] || [];
+    const attributePattern = /([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    
+    let match;
+    while ((match = attributePattern.exec(token)) !== null) {
+      const name = match[1].toLowerCase();
+      const rawValue = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      const value = TaggedIntervalTree._decodeHTMLEntities(rawValue);
+      
+      if (name === 'style') {
+        for (const declaration of value.split(';')) {
+          const colon = declaration.indexOf(':');
+          if (colon < 0) continue;
+          const property = declaration.substring(0, colon).trim().toLowerCase();
+          if (TaggedIntervalTree.ALLOWED_STYLE_PROPERTIES.includes(property)) {
+            attributes[property] = declaration.substring(colon + 1).trim();
+          }
+        }
+      } else if (allowedAttributes.includes(name)) {
+        attributes[name] = value;
+      }
+    }
+    
+    return attributes;
+  }
+  
+  static _decodeHTMLEntities(string) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+    return string.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+      }
+      return Object.prototype.hasOwnProperty.call(named, name) ? named[name] : entity;
+    });
+  }
+  
+  // Deep copy of the tree
+  clone() {
+    const copy = new TaggedIntervalTree();
+    copy.root = this.root.clone();
+    copy.debug = this.debug;
+    copy.traceRemoveTag = this.traceRemoveTag;
+    copy.blocks = this.blocks && this.blocks.clone();
+    copy.annotations = this.annotations && this.annotations.clone();
+    return copy;
+  }
+  
+  toString() {
+    return this.root.toString();
+  }
+}
+
+// Version of the format written by toDocument
+TaggedIntervalTree.DOCUMENT_VERSION = 1;
+
+// Types of change events, see on()
+TaggedIntervalTree.EVENT_TYPES = ['tagAdded', 'tagRemoved', 'textChanged', 'blockTypeChanged', 'annotationChanged', 'reset'];
+
+// Attributes emitted as HTML attributes, per tag
+TaggedIntervalTree.ALLOWED_HTML_ATTRIBUTES = {
+  a: ['href', 'title']
+};
+
+// Attributes emitted as properties of the style attribute, for any tag
+TaggedIntervalTree.ALLOWED_STYLE_PROPERTIES = ['color', 'background-color', 'font-size', 'font-family'];
+
+// HTML elements read by fromHTML, and the tag each one becomes
+TaggedIntervalTree.HTML_TAGS = {
+  b: 'b',
+  strong: 'b',
+  i: 'i',
+  em: 'i',
+  u: 'u',
+  s: 's',
+  strike: 's',
+  del: 's',
+  code: 'code',
+  sub: 'sub',
+  sup: 'sup',
+  a: 'a',
+  span: 'span'
+};
+
+// HTML elements read as blocks by fromHTML with options.blocks, and the block type of their lines
+// p means the lines take the type of the block around them, like a p in a blockquote; li takes the type of its list.
+TaggedIntervalTree.HTML_BLOCK_TYPES = {
+  p: 'p',
+  div: 'p',
+  li: 'p',
+  h1: 'h1',
+  h2: 'h2',
+  h3: 'h3',
+  h4: 'h3',
+  h5: 'h3',
+  h6: 'h3',
+  ul: 'ul',
+  ol: 'ol',
+  blockquote: 'blockquote'
+};
+
+/**
+ * Types of tags: how each is written in HTML and Markdown, how it goes with other tags, and how editors show it.
+ *
+ * A tag type is { tag, label, html, markdown, exclusive, spansBlocks, command, icon, key }, where only tag is needed:
+ * - html: the element it is rendered as, like 'b'; tags without one are left out of HTML and the DOM, keeping their text
+ * - markdown: its Markdown delimiters in order of preference, like ['**'], or 'code' for code spans and 'link' for links;
+ *   tags without them are written as inline HTML. MarkdownParser reads every delimiter listed, and each belongs to one tag.
+ * - exclusive: tags that can not be on the same text, like sub and sup; addTag removes them where it adds the tag.
+ *   This goes both ways, so only one of the two needs to list the other.
+ * - spansBlocks: the tag may cover the line breaks between blocks, where other tags are kept inside blocks
+ * - command, label, icon and key: the command of an editor toggling the tag, its name, and its toolbar icon and default
+ *   keybinding; editor.html makes a command and a toolbar button for every tag with an icon
+ * Tags that are not registered can still be used in trees, but are not rendered as HTML.
+ */
+class TagRegistry {
+  constructor(types = []) {
+    this.types = []; // In order of registration
+    for (const type of types) {
+      this.register(type);
+    }
+  }
+  
+  // Add a tag type, or replace the one of its tag; returns the type with defaults filled in
+  register(type) {
+    if (!type || typeof type.tag !== 'string' || type.tag === '') {
+      throw new Error('Tag type must have a tag');
+    }
+    // Element names are written into HTML as they are
+    if (type.html && !/^[a-z][a-z0-9]*$/.test(type.html)) {
+      throw new Error(`Tag ${type.tag} has an invalid HTML element: ${type.html}`);
+    }
+    const markdown = type.markdown || null;
+    if (markdown !== null && markdown !== 'code' && markdown !== 'link' &&
+        !(Array.isArray(markdown) && markdown.length > 0 && markdown.every(delimiter => /^(\*+|_+|~+)$/.test(delimiter)))) {
+      throw new Error(`Tag ${type.tag} must have Markdown delimiters like ['**'], 'code' or 'link'`);
+    }
+    for (const delimiter of Array.isArray(markdown) ? markdown : []) {
+      const owner = this.tagForDelimiter(delimiter);
+      if (owner !== null && owner !== type.tag) {
+        throw new Error(`Tag ${type.tag} can not use the Markdown delimiter ${delimiter} of ${owner}`);
+      }
+    }
+    const exclusive = type.exclusive || [];
+    if (exclusive.includes(type.tag)) {
+      throw new Error(`Tag ${type.tag} can not exclude itself`);
+    }
+    
+    const registered = { ...type, html: type.html || null, markdown, exclusive: [...exclusive], spansBlocks: Boolean(type.spansBlocks) };
+    const index = this.types.findIndex(other => other.tag === type.tag);
+    if (index >= 0) {
+      this.types[index] = registered;
+    } else {
+      this.types.push(registered);
+    }
+    return registered;
+  }
+  
+  get(tag) {
+    return this.types.find(type => type.tag === tag) || null;
+  }
+  
+  // Tags that can not be on the same text as tag, listed by either of them
+  exclusiveWith(tag) {
+    const result = [];
+    for (const type of this.types) {
+      if (type.tag === tag) {
+        result.push(...type.exclusive.filter(other => !result.includes(other)));
+      } else if (type.exclusive.includes(tag) && !result.includes(type.tag)) {
+        result.push(type.tag);
+      }
+    }
+    return result;
+  }
+  
+  spansBlocks(tag) {
+    const type = this.get(tag);
+    return type !== null && type.spansBlocks;
+  }
+  
+  // HTML element of tag, or null when it has none
+  htmlElement(tag) {
+    const type = this.get(tag);
+    return type && type.html;
+  }
+  
+  // First registered tag rendered as the HTML element, or null
+  tagForElement(element) {
+    const type = this.types.find(other => other.html === element);
+    return type ? type.tag : null;
+  }
+  
+  // Markdown form of tag: delimiters, 'code', 'link' or null
+  markdown(tag) {
+    const type = this.get(tag);
+    return type && type.markdown;
+  }
+  
+  // Tag written with the Markdown delimiter, like b for **, or null
+  tagForDelimiter(delimiter) {
+    const type = this.types.find(other => Array.isArray(other.markdown) && other.markdown.includes(delimiter));
+    return type ? type.tag : null;
+  }
+  
+  // Delimiters of the tags written with Markdown emphasis: { tag: delimiters }
+  markdownDelimiters() {
+    const delimiters = {};
+    for (const type of this.types) {
+      if (Array.isArray(type.markdown)) {
+        delimiters[type.tag] = type.markdown;
+      }
+    }
+    return delimiters;
+  }
+}
+
+// Tags of trees, used by addTag, the renderers and fromHTML; register tags here to use them everywhere
+TaggedIntervalTree.tags = new TagRegistry([
+  { tag: 'b', label: 'Bold', html: 'b', markdown: ['**', '__'], command: 'bold', icon: 'B', key: 'Ctrl+B' },
+  { tag: 'i', label: 'Italic', html: 'i', markdown: ['_', '*'], command: 'italic', icon: 'I', key: 'Ctrl+I' },
+  { tag: 'u', label: 'Underline', html: 'u', command: 'underline', icon: 'U', key: 'Ctrl+U' },
+  { tag: 's', label: 'Strikethrough', html: 's', markdown: ['~~', '~'], command: 'strike', icon: 'S', key: 'Ctrl+Shift+X' },
+  { tag: 'code', label: 'Code', html: 'code', markdown: 'code', command: 'code', icon: '</>', key: 'Ctrl+E' },
+  { tag: 'sub', label: 'Subscript', html: 'sub', exclusive: ['sup'], command: 'subscript', icon: 'Sub', key: 'Ctrl+,' },
+  { tag: 'sup', label: 'Superscript', html: 'sup', command: 'superscript', icon: 'Sup', key: 'Ctrl+.' },
+  { tag: 'a', label: 'Link', html: 'a', markdown: 'link' },
+  { tag: 'span', label: 'Text color', html: 'span' },
+  // Read from HTML as b and i, but kept when trees have them
+  { tag: 'strong', html: 'strong' },
+  { tag: 'em', html: 'em' }
+]);
+
+/**
+ * Block formatting of a text: every line is a block, like a paragraph, a heading or a list item.
+ *
+ * Blocks are kept alongside the inline tags, in tree.blocks, as [{ start, end, type }] covering the text
+ * in order. A block ends before its line break, so the line break between two blocks is in neither of them,
+ * and inline tags are kept off it. Consecutive list items of the same type form one list, and consecutive
+ * quote lines one blockquote.
+ */
+class BlockList {
+  constructor(text = '') {
+    this.blocks = [];
+    let start = 0;
+    for (const line of text.split('\n')) {
+      this.blocks.push({ start, end: start + line.length, type: 'p' });
+      start += line.length + 1;
+    }
+  }
+  
+  getBlocks() {
+    return this.blocks.map(block => ({ ...block }));
+  }
+  
+  // Block containing position; a position between two lines is at the end of the first one
+  blockAt(position) {
+    return { ...this.blocks[this._indexAt(position)] };
+  }
+  
+  _indexAt(position) {
+    let left = 0;
+    let right = this.blocks.length - 1;
+    while (left < right) {
+      const mid = Math.floor((left + right) / 2);
+      if (this.blocks[mid].end < position) {
+        left = mid + 1;
+      } else {
+        right = mid;
+      }
+    }
+    return left;
+  }
+  
+  // Parts of interval inside blocks, leaving out the line breaks between them: [[start, end], ...]
+  blockParts(interval) {
+    const [start, end] = interval;
+    const parts = [];
+    for (let i = this._indexAt(start); i < this.blocks.length && this.blocks[i].start < end; i++) {
+      const partStart = Math.max(start, this.blocks[i].start);
+      const partEnd = Math.min(end, this.blocks[i].end);
+      if (partStart < partEnd) {
+        parts.push([partStart, partEnd]);
+      }
+    }
+    return parts;
+  }
+  
+  // Set the type of every block overlapping interval, or of the block containing an empty interval
+  // Returns the number of blocks that changed.
+  setType(type, interval) {
+    if (!BlockList.TYPES.includes(type)) {
+      throw new Error(`Unknown block type: ${type}`);
+    }
+    
+    const [start, end] = interval;
+    const first = this._indexAt(start);
+    let changed = 0;
+    for (let i = first; i < this.blocks.length && (i === first || this.blocks[i].start < end); i++) {
+      const block = this.blocks[i];
+      if (block.type !== type) {
+        block.type = type;
+        changed++;
+      }
+    }
+    return changed;
+  }
+  
+  // Text inserted at position; each line break in it splits the block, and the new blocks get its type
+  insertText(position, text) {
+    const index = this._indexAt(position);
+    const block = this.blocks[index];
+    for (let i = index + 1; i < this.blocks.length; i++) {
+      this.blocks[i].start += text.length;
+      this.blocks[i].end += text.length;
+    }
+    
+    const lines = text.split('\n');
+    const end = block.end + text.length;
+    const added = [];
+    block.end = position + lines[0].length;
+    let start = block.end + 1;
+    for (const line of lines.slice(1)) {
+      added.push({ start, end: start + line.length, type: block.type });
+      start += line.length + 1;
+    }
+    if (added.length > 0) {
+      added[added.length - 1].end = end;
+    } else {
+      block.end = end;
+    }
+    if (added.length > 0) {
+      this.blocks = this.blocks.slice(0, index + 1).concat(added, this.blocks.slice(index + 1));
+    }
+  }
+  
+  // Text in [start, end] deleted; blocks whose line breaks are deleted are joined, keeping the type of the first
+  deleteRange(start, end) {
+    const first = this._indexAt(start);
+    const last = this._indexAt(end);
+    const length = end - start;
+    
+    this.blocks[first].end = this.blocks[last].end - length;
+    this.blocks.splice(first + 1, last - first);
+    for (let i = first + 1; i < this.blocks.length; i++) {
+      this.blocks[i].start -= length;
+      this.blocks[i].end -= length;
+    }
+  }
+  
+  // Types of the blocks in order, like ['h1', 'p', 'ul', 'ul']
+  toJSON() {
+    return this.blocks.map(block => block.type);
+  }
+  
+  // Blocks of text from the output of toJSON, which must have a known type for every line
+  static fromJSON(json, text) {
+    const blocks = new BlockList(text);
+    if (!Array.isArray(json) || json.length !== blocks.blocks.length) {
+      throw new Error(`Invalid blocks: must be an array with a type for each of the ${blocks.blocks.length} lines`);
+    }
+    json.forEach((type, index) => {
+      if (!BlockList.TYPES.includes(type)) {
+        throw new Error(`Invalid blocks: unknown type ${JSON.stringify(type)} at line ${index}`);
+      }
+      blocks.blocks[index].type = type;
+    });
+    return blocks;
+  }
+  
+  clone() {
+    const copy = new BlockList();
+    copy.blocks = this.getBlocks();
+    return copy;
+  }
+}
+
+// Block types: paragraph, headings, bulleted and numbered list items, and quote
+BlockList.TYPES = ['p', 'h1', 'h2', 'h3', 'ul', 'ol', 'blockquote'];
+
+// HTML element of each block type, and the element grouping consecutive blocks of that type
+BlockList.HTML_ELEMENTS = {
+  p: { tag: 'p' },
+  h1: { tag: 'h1' },
+  h2: { tag: 'h2' },
+  h3: { tag: 'h3' },
+  ul: { tag: 'li', group: 'ul' },
+  ol: { tag: 'li', group: 'ol' },
+  blockquote: { tag: 'p', group: 'blockquote' }
+};
+
+/**
+ * Annotations of a text, like comments and highlights, kept alongside the tags in tree.annotations.
+ *
+ * An annotation is { id, start, end, type, author, payload }: type tells what it is, like 'comment' or 'highlight',
+ * and payload is any JSON value, like { text } of a comment. Unlike tags, annotations are never merged or
+ * split, and may overlap each other. They are kept sorted by start, then end. Text typed inside an annotation
+ * extends it, but not text typed at its edges; an annotation whose text is all deleted is removed.
+ */
+class AnnotationList {
+  constructor(annotations = []) {
+    this.annotations = [];
+    for (const annotation of annotations) {
+      this.add(annotation);
+    }
+  }
+  
+  // Add an annotation, with a new id when it has none; returns a copy of it
+  add(annotation) {
+    const fail = (message) => {
+      throw new Error(`Invalid annotation ${JSON.stringify(annotation)}: ${message}`);
+    };
+    if (annotation === null || typeof annotation !== 'object') fail('must be an object');
+    
+    const { start, end } = annotation;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start >= end) {
+      fail('start and end must be integers with 0 <= start < end');
+    }
+    // Ids and types are written into the class and data-annotations attributes of rendered annotations
+    const id = annotation.id === undefined ? AnnotationList.newId() : annotation.id;
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) fail('id must be letters, digits, _ and -');
+    if (this.get(id)) fail(`id ${id} is already used`);
+    if (typeof annotation.type !== 'string' || !/^[a-z][a-z0-9-]*$/.test(annotation.type)) {
+      fail('type must be lowercase letters, digits and -, like comment');
+    }
+    if (annotation.author !== undefined && annotation.author !== null && typeof annotation.author !== 'string') {
+      fail('author must be a string');
+    }
+    
+    const added = {
+      id,
+      start,
+      end,
+      type: annotation.type,
+      author: annotation.author || null,
+      payload: annotation.payload === undefined ? null : annotation.payload
+    };
+    let index = this.annotations.length;
+    while (index > 0 && (this.annotations[index - 1].start > start ||
+           (this.annotations[index - 1].start === start && this.annotations[index - 1].end > end))) {
+      index--;
+    }
+    this.annotations.splice(index, 0, added);
+    return { ...added };
+  }
+  
+  get(id) {
+    const annotation = this.annotations.find(other => other.id === id);
+    return annotation ? { ...annotation } : null;
+  }
+  
+  getAll() {
+    return this.annotations.map(annotation => ({ ...annotation }));
+  }
+  
+  // Change the author or payload of an annotation; returns false when there is none with id
+  update(id, changes) {
+    const annotation = this.annotations.find(other => other.id === id);
+    if (!annotation) return false;
+    if (changes.author !== undefined) annotation.author = changes.author;
+    if (changes.payload !== undefined) annotation.payload = changes.payload;
+    return true;
+  }
+  
+  remove(id) {
+    const index = this.annotations.findIndex(other => other.id === id);
+    if (index < 0) return false;
+    this.annotations.splice(index, 1);
+    return true;
+  }
+  
+  // Annotations containing the character at position
+  at(position) {
+    return this.annotations
+      .filter(annotation => annotation.start <= position && position < annotation.end)
+      .map(annotation => ({ ...annotation }));
+  }
+  
+  // Annotations with text in interval
+  inRange(interval) {
+    const [start, end] = interval;
+    return this.annotations
+      .filter(annotation => annotation.start < end && annotation.end > start)
+      .map(annotation => ({ ...annotation }));
+  }
+  
+  // Text of length inserted at position
+  insertText(position, length) {
+    for (const annotation of this.annotations) {
+      if (position <= annotation.start) {
+        annotation.start += length;
+        annotation.end += length;
+      } else if (position < annotation.end) {
+        annotation.end += length;
+      }
+    }
+  }
+  
+  // Text in [start, end] deleted: positions inside it move to start, and annotations left empty are removed.
+  // Ends moving to start can change the order of annotations starting there, so they are sorted again
+  deleteRange(start, end) {
+    const map = (position) => {
+      if (position <= start) return position;
+      if (position >= end) return position - (end - start);
+      return start;
+    };
+    for (const annotation of this.annotations) {
+      annotation.start = map(annotation.start);
+      annotation.end = map(annotation.end);
+    }
+    this.annotations = this.annotations
+      .filter(annotation => annotation.start < annotation.end)
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+  
+  toJSON() {
+    return this.getAll();
+  }
+  
+  // Annotations of a text of textLength from the output of toJSON
+  static fromJSON(json, textLength) {
+    if (!Array.isArray(json)) {
+      throw new Error('Invalid annotations: must be an array');
+    }
+    const annotations = new AnnotationList(json);
+    for (const annotation of annotations.annotations) {
+      if (annotation.end > textLength) {
+        throw new Error(`Invalid annotations: ${annotation.id} ends at ${annotation.end}, after the text of length ${textLength}`);
+      }
+    }
+    return annotations;
+  }
+  
+  clone() {
+    const copy = new AnnotationList();
+    copy.annotations = this.getAll();
+    return copy;
+  }
+  
+  static newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+  }
+}
+
+/**
+ * Undo/redo history for a text and its tree.
+ *
+ * Every change goes through the history, which stores a snapshot of text and tree
+ * before and after the change. Undo restores the before snapshot, redo the after snapshot.
+ * Text changes following each other within coalesceTime milliseconds are stored as one
+ * change, so undo removes a whole run of typing instead of one character.
+ *
+ * Snapshots pack the tree into a flat array, which is much quicker to copy than its nodes, and are
+ * only taken when needed: typing that joins the last change takes none, and the after snapshot of
+ * the last change is taken by undo, as until then it is the current state.
+ */
+class EditHistory {
+  constructor(tree, text = '', options = {}) {
+    this.tree = tree;
+    this.text = text;
+    this.limit = options.limit || 100;
+    this.coalesceTime = options.coalesceTime !== undefined ? options.coalesceTime : 1000;
+    this.now = options.now || (() => Date.now());
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+  
+  _snapshot() {
+    return {
+      text: this.text,
+      root: EditHistory._pack(this.tree.root),
+      blocks: this.tree.blocks && this.tree.blocks.toJSON(),
+      annotations: this.tree.annotations && this.tree.annotations.toJSON()
+    };
+  }
+  
+  _restore(snapshot) {
+    this.text = snapshot.text;
+    this.tree.root = EditHistory._unpack(snapshot.root);
+    this.tree.blocks = snapshot.blocks && BlockList.fromJSON(snapshot.blocks, snapshot.text);
+    this.tree.annotations = snapshot.annotations && new AnnotationList(snapshot.annotations);
+    this.tree._emit({ type: 'reset', start: 0, end: this.text.length });
+  }
+  
+  // Nodes in depth-first order as start, end, tag, attributes and number of children each
+  // Attributes are shared with the tree, as nodes copy them instead of changing them.
+  static _pack(root) {
+    const packed = [];
+    const pack = (node) => {
+      packed.push(node.interval[0], node.interval[1], node.tag, node.attributes, node.children.length);
+      for (const child of node.children) {
+        pack(child);
+      }
+    };
+    pack(root);
+    return packed;
+  }
+  
+  static _unpack(packed) {
+    let index = 0;
+    const unpack = () => {
+      const node = new IntervalNode(packed[index], packed[index + 1], packed[index + 2], packed[index + 3]);
+      const count = packed[index + 4];
+      index += 5;
+      for (let i = 0; i < count; i++) {
+        node.children.push(unpack());
+      }
+      return node;
+    };
+    return unpack();
+  }
+  
+  static _sameSnapshots(a, b) {
+    if (a.text !== b.text || a.root.length !== b.root.length) return false;
+    for (let i = 0; i < a.root.length; i++) {
+      if (a.root[i] !== b.root[i] && !(i % 5 === 3 && IntervalNode.sameAttributes(a.root[i], b.root[i]))) {
+        return false;
+      }
+    }
+    return JSON.stringify(a.blocks) === JSON.stringify(b.blocks) && JSON.stringify(a.annotations) === JSON.stringify(b.annotations);
+  }
+  
+  // Run change and store it in history, unless it did not change anything
+  // Text changes always change the text, so comparing it is enough for them.
+  _record(type, change) {
+    const time = this.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    const coalesce = type === 'text' && last && last.type === 'text' && !last.sealed &&
+      time - last.time <= this.coalesceTime;
+    
+    const text = this.text;
+    const before = coalesce ? null : this._snapshot();
+    const result = change();
+    
+    let after = null;
+    if (type === 'text') {
+      if (this.text === text) return result;
+    } else {
+      after = this._snapshot();
+      if (EditHistory._sameSnapshots(before, after)) return result;
+    }
+    
+    if (coalesce) {
+      // Coalesce with previous typing
+      last.after = null;
+      last.time = time;
+    } else {
+      // The last change ended where this one started
+      if (last && !last.after) {
+        last.after = before;
+      }
+      this.undoStack.push({ type, before, after, time, sealed: false });
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+    
+    this.redoStack = [];
+    return result;
+  }
+  
+  addTag(tag, interval, attributes = null) {
+    return this._record('tag', () => this.tree.addTag(tag, interval, attributes));
+  }
+  
+  removeTag(tag, interval) {
+    return this._record('tag', () => this.tree.removeTag(tag, interval));
+  }
+  
+  toggleTag(tag, interval, attributes = null) {
+    return this._record('tag', () => this.tree.toggleTag(tag, interval, attributes));
+  }
+  
+  clearFormatting(interval) {
+    return this._record('tag', () => this.tree.clearFormatting(interval));
+  }
+  
+  // Document { text, tree } of [start, end] of the text, for copying
+  extractRange(interval) {
+    return this.tree.extractRange(interval, this.text);
+  }
+  
+  // Insert a document { text, tree } at position, for pasting
+  // It is a text change like typing, so it joins the deletion of a replaced selection; seal() keeps it out of typing around it.
+  insertDocument(position, document) {
+    return this._record('text', () => {
+      this.tree.insertDocument(position, document);
+      this.text = this.text.substring(0, position) + document.text + this.text.substring(position);
+    });
+  }
+  
+  replaceTag(oldTag, newTag, interval) {
+    return this._record('tag', () => this.tree.replaceTag(oldTag, newTag, interval));
+  }
+  
+  setBlockType(type, interval) {
+    return this._record('block', () => this.tree.setBlockType(type, interval));
+  }
+  
+  addAnnotation(annotation) {
+    return this._record('annotation', () => this.tree.addAnnotation(annotation));
+  }
+  
+  updateAnnotation(id, changes) {
+    return this._record('annotation', () => this.tree.updateAnnotation(id, changes));
+  }
+  
+  removeAnnotation(id) {
+    return this._record('annotation', () => this.tree.removeAnnotation(id));
+  }
+  
+  // Remove several annotations as one undo step, like the highlights of a selection; returns whether any was removed
+  removeAnnotations(ids) {
+    return this._record('annotation', () => ids.filter(id => this.tree.removeAnnotation(id)).length > 0);
+  }
+  
+  // formats are applied to the inserted text, as for setText
+  insertText(position, string, formats = []) {
+    return this._record('text', () => {
+      this.tree.insertText(position, string.length, string);
+      this.text = this.text.substring(0, position) + string + this.text.substring(position);
+      this._applyFormats([position, position + string.length], formats);
+    });
+  }
+  
+  deleteRange(start, end) {
+    return this._record('text', () => {
+      this.tree.deleteRange(start, end);
+      this.text = this.text.substring(0, start) + this.text.substring(end);
+    });
+  }
+  
+  // Replace the whole text, applying the difference between old and new text to the tree
+  // formats ([{ tag, attributes, remove }]) are applied to the inserted text, like formatting chosen at a caret before typing.
+  setText(newText, formats = []) {
+    const oldText = this.text;
+    
+    // Length of common prefix
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+      prefix++;
+    }
+    
+    // Length of common suffix, not overlapping the prefix
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+           oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+      suffix++;
+    }
+    
+    return this._record('text', () => {
+      const deletedEnd = oldText.length - suffix;
+      if (deletedEnd > prefix) {
+        this.tree.deleteRange(prefix, deletedEnd);
+      }
+      const insertedLength = newText.length - suffix - prefix;
+      if (insertedLength > 0) {
+        this.tree.insertText(prefix, insertedLength, newText.substring(prefix, prefix + insertedLength));
+        this._applyFormats([prefix, prefix + insertedLength], formats);
+      }
+      this.text = newText;
+    });
+  }
+  
+  _applyFormats(interval, formats) {
+    if (interval[0] >= interval[1]) return;
+    for (const format of formats) {
+      if (format.remove) {
+        this.tree.removeTag(format.tag, interval);
+      } else {
+        this.tree.addTag(format.tag, interval, format.attributes || null);
+      }
+    }
+  }
+  
+  // Stop coalescing, so the next text change starts a new undo step
+  seal() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last) {
+      last.sealed = true;
+    }
+  }
+  
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+    
+    entry.sealed = true;
+    if (!entry.after) {
+      entry.after = this._snapshot();
+    }
+    this._restore(entry.before);
+    this.redoStack.push(entry);
+    return true;
+  }
+  
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+    
+    this._restore(entry.after);
+    this.undoStack.push(entry);
+    return true;
+  }
+}
+
+/**
+ * Commands of an editor, like bold or undo, with their keybindings.
+ *
+ * A command is { id, label, run(context), isEnabled(context), isActive(context), key }: isEnabled and isActive
+ * are optional, and key is its default keybinding, like 'Ctrl+B'. context is whatever the editor passes, like
+ * its history and selection, so commands do not depend on globals. The keymap maps keys to command ids, and
+ * can be changed with bindKey and setKeymap. Keys are written as modifiers Ctrl, Alt and Shift, in that order,
+ * and a key name, like 'Ctrl+Shift+Z'; Cmd and Meta are read as Ctrl.
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = []; // In order of registration
+    this.keymap = {}; // Key to command id
+  }
+  
+  // Add a command, binding its default key
+  register(command) {
+    if (!command || typeof command.id !== 'string' || command.id === '') {
+      throw new Error('Command must have an id');
+    }
+    if (typeof command.run !== 'function') {
+      throw new Error(`Command ${command.id} must have a run(context) method`);
+    }
+    if (this.get(command.id)) {
+      throw new Error(`Command ${command.id} is already registered`);
+    }
+    
+    this.commands.push(command);
+    if (command.key) {
+      this.bindKey(command.key, command.id);
+    }
+    return command;
+  }
+  
+  get(id) {
+    return this.commands.find(command => command.id === id) || null;
+  }
+  
+  // Bind key to the command id, replacing the command bound to it before
+  bindKey(key, id) {
+    if (!this.get(id)) {
+      throw new Error(`Unknown command: ${id}`);
+    }
+    this.keymap[CommandRegistry.normalizeKey(key)] = id;
+  }
+  
+  unbindKey(key) {
+    delete this.keymap[CommandRegistry.normalizeKey(key)];
+  }
+  
+  // Change bindings with a keymap { key: id }, where null as id removes the binding of the key
+  setKeymap(keymap) {
+    for (const key of Object.keys(keymap)) {
+      if (keymap[key] === null) {
+        this.unbindKey(key);
+      } else {
+        this.bindKey(key, keymap[key]);
+      }
+    }
+  }
+  
+  // Keys bound to a command
+  keysFor(id) {
+    return Object.keys(this.keymap).filter(key => this.keymap[key] === id);
+  }
+  
+  isEnabled(id, context) {
+    const command = this.get(id);
+    return command !== null && (!command.isEnabled || command.isEnabled(context));
+  }
+  
+  isActive(id, context) {
+    const command = this.get(id);
+    return command !== null && Boolean(command.isActive && command.isActive(context));
+  }
+  
+  // Run a command if it is enabled; returns whether it ran
+  execute(id, context) {
+    if (!this.isEnabled(id, context)) {
+      return false;
+    }
+    this.get(id).run(context);
+    return true;
+  }
+  
+  // Run the command bound to the key of a keyboard event
+  // Returns true when a command is bound to it, even if disabled, after preventing the default action of the key.
+  handleKeyEvent(event, context) {
+    const key = CommandRegistry.eventKey(event);
+    const id = key && this.keymap[key];
+    if (!id) {
+      return false;
+    }
+    event.preventDefault();
+    this.execute(id, context);
+    return true;
+  }
+  
+  // Commands whose label or id has every word of query, for a command palette; labels starting with query first
+  search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(word => word !== '');
+    const text = (command) => `${command.label || ''} ${command.id}`.toLowerCase();
+    const matches = this.commands.filter(command => words.every(word => text(command).includes(word)));
+    
+    const lowerQuery = query.trim().toLowerCase();
+    const startsWithQuery = (command) => (command.label || command.id).toLowerCase().startsWith(lowerQuery);
+    return matches.sort((a, b) => startsWithQuery(b) - startsWithQuery(a));
+  }
+  
+  // Key in canonical form, like 'Ctrl+Shift+Z' for 'shift+mod+z'
+  static normalizeKey(key) {
+    const text = String(key);
+    // The + key itself is written last, like Ctrl++
+    const plus = text === '+' || text.endsWith('++');
+    const parts = (plus ? text.slice(0, -1) : text).split('+').map(part => part.trim());
+    const last = parts.pop();
+    const name = plus ? '+' : last;
+    if (!name || (plus && last !== '')) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+    
+    const modifiers = new Set();
+    for (const part of parts) {
+      const modifier = CommandRegistry.MODIFIERS[part.toLowerCase()];
+      if (!modifier) {
+        throw new Error(`Invalid key: ${key}, unknown modifier ${part}`);
+      }
+      modifiers.add(modifier);
+    }
+    
+    const ordered = ['Ctrl', 'Alt', 'Shift'].filter(modifier => modifiers.has(modifier));
+    return [...ordered, name.length === 1 ? name.toUpperCase() : name].join('+');
+  }
+  
+  // Key of a keyboard event, in the form of normalizeKey
+  // Letters and digits are read from event.code when there is one, so Shift or Alt changing the character does not matter.
+  // Null for keys it can not name, like an empty key, or the Unidentified and Dead keys of some keyboards and IMEs.
+  static eventKey(event) {
+    let name = event.key === ' ' ? 'Space' : event.key;
+    const code = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(event.code || '');
+    if (code) {
+      name = code[1] || code[2];
+    }
+    if (typeof name !== 'string' || name.trim() === '' || name === 'Unidentified' || name === 'Dead') {
+      return null;
+    }
+    
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    return CommandRegistry.normalizeKey([...modifiers, name].join('+'));
+  }
+}
+
+// Names of modifiers in keys
+CommandRegistry.MODIFIERS = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  cmd: 'Ctrl',
+  meta: 'Ctrl',
+  mod: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift'
+};
+
+/**
+ * Serializable operations on a document { text, tree }, and their operational transformation.
+ *
+ * Operations are plain objects, so they can be sent as JSON:
+ *   { type: 'insertText', position, text, tags }    tags maps each tag of the inserted text to its attributes (or null)
+ *   { type: 'deleteRange', start, end }
+ *   { type: 'addTag', tag, start, end, attributes }
+ *   { type: 'removeTag', tag, start, end }
+ * Inserted text gets exactly the tags of its operation, instead of those of the text to its left, because
+ * that text may be changed by concurrent operations.
+ *
+ * transform(a, b) takes operations a and b made on the same document, and returns [a', b'], where a' is a
+ * to apply after b and b' is b to apply after a, so both orders give the same document. Some operations
+ * are split, so a' and b' are lists of operations. When a and b conflict, a wins: its text is inserted first
+ * at the same position, and its tag and attributes are kept where both change the same tag.
+ */
+class Operation {
+  // Apply an operation, or a list of operations, to document { text, tree }; returns document
+  static apply(document, operation) {
+    for (const op of Operation._list(operation)) {
+      Operation._check(op, document.text.length);
+      const tree = document.tree;
+      
+      switch (op.type) {
+        case 'insertText': {
+          const { position, text } = op;
+          const inserted = [position, position + text.length];
+          const inherited = Operation.tagsAt(tree, position - 1);
+          const tags = op.tags || {};
+          
+          tree.insertText(position, text.length, text);
+          document.text = document.text.substring(0, position) + text + document.text.substring(position);
+          for (const tag of Object.keys(inherited)) {
+            if (!(tag in tags) || !IntervalNode.sameAttributes(inherited[tag], tags[tag])) {
+              tree.removeTag(tag, inserted);
+            }
+          }
+          for (const tag of Object.keys(tags)) {
+            if (!(tag in inherited) || !IntervalNode.sameAttributes(inherited[tag], tags[tag])) {
+              tree.addTag(tag, inserted, tags[tag]);
+            }
+          }
+          break;
+        }
+        case 'deleteRange':
+          tree.deleteRange(op.start, op.end);
+          document.text = document.text.substring(0, op.start) + document.text.substring(op.end);
+          break;
+        case 'addTag':
+          tree.addTag(op.tag, [op.start, op.end], op.attributes || null);
+          break;
+        case 'removeTag':
+          tree.removeTag(op.tag, [op.start, op.end]);
+          break;
+      }
+    }
+    return document;
+  }
+  
+  // Tags of the character at position, with their attributes: { tag: attributes or null }
+  static tagsAt(tree, position) {
+    const tags = {};
+    for (const segment of tree.getSegments([position, position + 1])) {
+      if (segment.start <= position && position < segment.end) {
+        for (const tag of segment.tags) {
+          tags[tag] = segment.attributes[tag] || null;
+        }
+        break;
+      }
+    }
+    return tags;
+  }
+  
+  // Transform operations (or lists) a and b made on the same document, returning [a', b']
+  static transform(a, b) {
+    return Operation._transformLists(Operation._list(a), Operation._list(b));
+  }
+  
+  static _list(operation) {
+    return Array.isArray(operation) ? operation : [operation];
+  }
+  
+  // Transform lists one operation at a time: the first operation of a against b, then the rest against the new b
+  static _transformLists(a, b) {
+    if (a.length === 0 || b.length === 0) {
+      return [a, b];
+    }
+    if (a.length === 1 && b.length === 1) {
+      return Operation._transformPair(a[0], b[0], true);
+    }
+    if (a.length > 1) {
+      const [first, bAfterFirst] = Operation._transformLists([a[0]], b);
+      const [rest, bAfterRest] = Operation._transformLists(a.slice(1), bAfterFirst);
+      return [[...first, ...rest], bAfterRest];
+    }
+    const [aAfterFirst, first] = Operation._transformLists(a, [b[0]]);
+    const [aAfterRest, rest] = Operation._transformLists(aAfterFirst, b.slice(1));
+    return [aAfterRest, [...first, ...rest]];
+  }
+  
+  // Transform two operations; aWins tells which one wins conflicts
+  static _transformPair(a, b, aWins) {
+    const isTag = (op) => op.type === 'addTag' || op.type === 'removeTag';
+    const swapped = () => {
+      const [bPrime, aPrime] = Operation._transformPair(b, a, !aWins);
+      return [aPrime, bPrime];
+    };
+    
+    if (a.type === 'insertText' && b.type === 'insertText') {
+      if (a.position < b.position || (a.position === b.position && aWins)) {
+        return [[a], [{ ...b, position: b.position + a.text.length }]];
+      }
+      return [[{ ...a, position: a.position + b.text.length }], [b]];
+    }
+    
+    if (a.type === 'insertText' && b.type === 'deleteRange') {
+      const { position } = a;
+      const length = a.text.length;
+      if (position <= b.start) {
+        return [[a], [{ ...b, start: b.start + length, end: b.end + length }]];
+      }
+      if (position >= b.end) {
+        return [[{ ...a, position: position - (b.end - b.start) }], [b]];
+      }
+      // Text inserted inside deleted text is kept: the deletion is split around it
+      return [
+        [{ ...a, position: b.start }],
+        [{ ...b, start: position + length, end: b.end + length }, { ...b, start: b.start, end: position }]
+      ];
+    }
+    
+    if (a.type === 'insertText' && isTag(b)) {
+      const { position } = a;
+      const length = a.text.length;
+      if (position <= b.start) {
+        return [[a], [{ ...b, start: b.start + length, end: b.end + length }]];
+      }
+      if (position >= b.end) {
+        return [[a], [b]];
+      }
+      // Text inserted inside the interval of a tag operation gets the tag operation too
+      const tags = { ...(a.tags || {}) };
+      if (b.type === 'addTag') {
+        tags[b.tag] = Operation._mergeAttributes(tags[b.tag], b.attributes);
+        for (const other of TaggedIntervalTree.tags.exclusiveWith(b.tag)) {
+          delete tags[other];
+        }
+      } else {
+        delete tags[b.tag];
+      }
+      return [[{ ...a, tags }], [{ ...b, end: b.end + length }]];
+    }
+    
+    if (a.type === 'deleteRange' && b.type === 'deleteRange') {
+      const aPrime = Operation._mapRange(a, b);
+      const bPrime = Operation._mapRange(b, a);
+      return [aPrime ? [aPrime] : [], bPrime ? [bPrime] : []];
+    }
+    
+    if (a.type === 'deleteRange' && isTag(b)) {
+      const bPrime = Operation._mapRange(b, a);
+      return [[a], bPrime ? [bPrime] : []];
+    }
+    
+    if (isTag(a) && isTag(b)) {
+      return Operation._transformTags(a, b, aWins);
+    }
+    
+    // Same cases with a and b swapped
+    return swapped();
+  }
+  
+  // Tag operations only conflict on the same tag where their intervals overlap, or when adding exclusive tags there
+  static _transformTags(a, b, aWins) {
+    const start = Math.max(a.start, b.start);
+    const end = Math.min(a.end, b.end);
+    const exclusive = a.type === 'addTag' && b.type === 'addTag' && TaggedIntervalTree.tags.exclusiveWith(a.tag).includes(b.tag);
+    if ((a.tag !== b.tag && !exclusive) || start >= end || (a.type === 'removeTag' && b.type === 'removeTag')) {
+      return [[a], [b]];
+    }
+    if (!aWins) {
+      const [bPrime, aPrime] = Operation._transformTags(b, a, true);
+      return [aPrime, bPrime];
+    }
+    
+    // Parts of op outside the overlap
+    const outside = (op) => [
+      { ...op, end: start },
+      { ...op, start: end }
+    ].filter(part => part.start < part.end);
+    
+    if (exclusive) {
+      // Adding the tag of a removes that of b in the overlap, so b does not add it there
+      return [[a], outside(b)];
+    }
+    
+    if (a.type === 'addTag' && b.type === 'addTag') {
+      // b must not override attributes of a in the overlap
+      const winning = Object.keys(a.attributes || {});
+      const attributes = b.attributes || {};
+      if (!Object.keys(attributes).some(name => winning.includes(name))) {
+        return [[a], [b]];
+      }
+      const kept = {};
+      for (const name of Object.keys(attributes)) {
+        if (!winning.includes(name)) kept[name] = attributes[name];
+      }
+      return [[a], [...outside(b), { ...b, start, end, attributes: kept }]];
+    }
+    
+    if (a.type === 'addTag') {
+      // After removing, add the tag back in the overlap, with the attributes a gives it when applied after b
+      return [[a], [b, { type: 'addTag', tag: a.tag, start, end, attributes: a.attributes || null }]];
+    }
+    
+    // a removes the tag, so b does not add it in the overlap, but still removes the tags it excludes there
+    const excluded = TaggedIntervalTree.tags.exclusiveWith(b.tag).map(tag => ({ type: 'removeTag', tag, start, end }));
+    return [[a], [...outside(b), ...excluded]];
+  }
+  
+  // Range operation op after deleteRange deletion: positions inside the deleted text move to its start; null when empty
+  static _mapRange(op, deletion) {
+    const map = (position) => {
+      if (position <= deletion.start) return position;
+      if (position >= deletion.end) return position - (deletion.end - deletion.start);
+      return deletion.start;
+    };
+    const start = map(op.start);
+    const end = map(op.end);
+    return start < end ? { ...op, start, end } : null;
+  }
+  
+  // Attributes of a tag after adding it with attributes, like addTag does: new ones override old ones
+  static _mergeAttributes(old, attributes) {
+    const merged = { ...(old || {}), ...(attributes || {}) };
+    return Object.keys(merged).length > 0 ? merged : null;
+  }
+  
+  // Check the shape of op, and that it fits a text of textLength
+  static _check(op, textLength) {
+    const fail = (message) => {
+      throw new Error(`Invalid operation ${JSON.stringify(op)}: ${message}`);
+    };
+    const isPosition = (value) => Number.isInteger(value) && value >= 0 && value <= textLength;
+    const isAttributes = (value) => value === undefined || value === null ||
+      (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(item => typeof item === 'string'));
+    
+    if (op === null || typeof op !== 'object') fail('must be an object');
+    
+    switch (op.type) {
+      case 'insertText':
+        if (!isPosition(op.position)) fail(`position must be an integer in [0, ${textLength}]`);
+        if (typeof op.text !== 'string') fail('text must be a string');
+        if (op.tags !== undefined && (op.tags === null || typeof op.tags !== 'object' ||
+            !Object.values(op.tags).every(isAttributes))) {
+          fail('tags must map tags to attributes');
+        }
+        break;
+      case 'deleteRange':
+      case 'addTag':
+      case 'removeTag':
+        if (!isPosition(op.start) || !isPosition(op.end) || op.start > op.end) {
+          fail(`start and end must be integers with 0 <= start <= end <= ${textLength}`);
+        }
+        if (op.type !== 'deleteRange' && (typeof op.tag !== 'string' || op.tag === '')) fail('tag must be a non-empty string');
+        if (!isAttributes(op.attributes)) fail('attributes must be an object with string values');
+        break;
+      default:
+        fail('unknown type');
+    }
+  }
+}
+
+/**
+ * In-process stand-in for a collaboration server, relaying operations between CollaborationClient replicas.
+ *
+ * The server keeps the document and the history of operations; the revision is the length of the history.
+ * A client sends operations made at a revision. The server transforms them against the operations since
+ * then, applies them, acknowledges them to the sender and relays them to every other client.
+ * Messages are JSON strings in queues, delivered one at a time by deliver(), so tests can interleave clients
+ * in any order. Messages of one client are delivered in order, like over a socket.
+ */
+class CollaborationServer {
+  constructor(text = '') {
+    this.document = { text, tree: new TaggedIntervalTree(0, text.length) };
+    this.history = [];
+    this.clients = [];
+    this.inbox = []; // { client, message }
+  }
+  
+  // Add a client, returning a snapshot of the document to start from
+  connect(client) {
+    this.clients.push(client);
+    return JSON.stringify({ revision: this.history.length, text: this.document.text, tree: this.document.tree.toJSON() });
+  }
+  
+  send(client, message) {
+    this.inbox.push({ client, message });
+  }
+  
+  // Handle the next message; returns false when there is none
+  deliver() {
+    const next = this.inbox.shift();
+    if (!next) return false;
+    
+    const { revision, operations } = JSON.parse(next.message);
+    if (!Number.isInteger(revision) || revision < 0 || revision > this.history.length) {
+      throw new Error(`Invalid revision ${revision}, server is at ${this.history.length}`);
+    }
+    
+    let transformed = operations;
+    for (const concurrent of this.history.slice(revision)) {
+      [transformed] = Operation.transform(transformed, concurrent);
+    }
+    Operation.apply(this.document, transformed);
+    this.history.push(transformed);
+    
+    for (const client of this.clients) {
+      if (client === next.client) {
+        client.receive(JSON.stringify({ type: 'ack' }));
+      } else {
+        client.receive(JSON.stringify({ type: 'operations', operations: transformed }));
+      }
+    }
+    return true;
+  }
+}
+
+/**
+ * Replica of a document, editing it together with other clients of a CollaborationServer.
+ *
+ * Local changes are applied at once and sent to the server, one batch at a time: changes made while
+ * waiting for the acknowledgement are buffered. Operations of other clients are transformed against
+ * the sent and buffered ones before they are applied, so every replica ends with the same document.
+ */
+class CollaborationClient {
+  constructor(server) {
+    this.server = server;
+    const snapshot = JSON.parse(server.connect(this));
+    this.revision = snapshot.revision;
+    this.document = { text: snapshot.text, tree: TaggedIntervalTree.fromJSON(snapshot.tree) };
+    this.sent = null; // Operations sent to the server, not acknowledged yet
+    this.buffer = null; // Operations made while waiting for the acknowledgement
+    this.inbox = [];
+  }
+  
+  // Inserted text gets the tags of the text to its left, like tree.insertText
+  insertText(position, text) {
+    if (text.length === 0) return;
+    const tags = Operation.tagsAt(this.document.tree, position - 1);
+    this.apply({ type: 'insertText', position, text, tags });
+  }
+  
+  deleteRange(start, end) {
+    if (start >= end) return;
+    this.apply({ type: 'deleteRange', start, end });
+  }
+  
+  addTag(tag, interval, attributes = null) {
+    if (interval[0] >= interval[1]) return;
+    this.apply({ type: 'addTag', tag, start: interval[0], end: interval[1], attributes });
+  }
+  
+  removeTag(tag, interval) {
+    if (interval[0] >= interval[1]) return;
+    this.apply({ type: 'removeTag', tag, start: interval[0], end: interval[1] });
+  }
+  
+  // Apply local operations and send them, or buffer them while waiting for the server
+  apply(operations) {
+    const list = Operation._list(operations);
+    Operation.apply(this.document, list);
+    
+    if (this.sent) {
+      this.buffer = [...(this.buffer || []), ...list];
+    } else {
+      this._send(list);
+    }
+  }
+  
+  receive(message) {
+    this.inbox.push(message);
+  }
+  
+  // Handle the next message from the server; returns false when there is none
+  deliver() {
+    const message = this.inbox.shift();
+    if (!message) return false;
+    
+    const { type, operations } = JSON.parse(message);
+    this.revision++;
+    
+    if (type === 'ack') {
+      const buffer = this.buffer;
+      this.sent = null;
+      this.buffer = null;
+      if (buffer) this._send(buffer);
+      return true;
+    }
+    
+    let incoming = operations;
+    if (this.sent) {
+      [this.sent, incoming] = Operation.transform(this.sent, incoming);
+    }
+    if (this.buffer) {
+      [this.buffer, incoming] = Operation.transform(this.buffer, incoming);
+    }
+    Operation.apply(this.document, incoming);
+    return true;
+  }
+  
+  _send(operations) {
+    this.sent = operations;
+    this.server.send(this, JSON.stringify({ revision: this.revision, operations }));
+  }
+}
+
+/**
+ * Saved documents, each with an id, a name and the time it was last saved.
+ *
+ * Records are { id, name, modified, document }, where document is the output of toDocument, so they
+ * can be read by anything that reads documents. Records are kept by a backend with async getAll(),
+ * get(id), put(record) and delete(id): IndexedDBBackend, or WebStorageBackend over localStorage
+ * where IndexedDB is not available (see DocumentStore.connect).
+ */
+class DocumentStore {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.now = options.now || (() => Date.now());
+  }
+  
+  // Store in IndexedDB, or in localStorage when IndexedDB can not be opened
+  // options.indexedDB and options.localStorage default to those of the browser; options.name names the database.
+  static async connect(options = {}) {
+    const name = options.name || DocumentStore.DATABASE_NAME;
+    const indexedDB = options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB;
+    if (indexedDB) {
+      try {
+        return new DocumentStore(await IndexedDBBackend.open(indexedDB, name), options);
+      } catch (e) {
+        // Like in private windows of some browsers: fall back to localStorage
+      }
+    }
+    
+    let localStorage = options.localStorage;
+    if (localStorage === undefined) {
+      try {
+        localStorage = globalThis.localStorage;
+      } catch (e) {
+        localStorage = null; // Reading it throws where storage is blocked
+      }
+    }
+    if (!localStorage) {
+      throw new Error('No storage for documents: neither IndexedDB nor localStorage is available');
+    }
+    return new DocumentStore(new WebStorageBackend(localStorage, `${name}:`), options);
+  }
+  
+  // Saved documents as { id, name, modified }, most recently saved first
+  async list() {
+    const records = await this.backend.getAll();
+    return records
+      .map(record => ({ id: record.id, name: record.name, modified: record.modified }))
+      .sort((a, b) => b.modified - a.modified);
+  }
+  
+  // Read a saved document, returning { id, name, modified, text, tree }
+  async open(id) {
+    const record = await this.backend.get(id);
+    if (!record) {
+      throw new Error(`Unknown document: ${id}`);
+    }
+    const { text, tree } = TaggedIntervalTree.fromDocument(record.document);
+    return { id: record.id, name: record.name, modified: record.modified, text, tree };
+  }
+  
+  // Save { id, name, text, tree }, as a new document when it has no id; returns { id, name, modified }
+  async save(document) {
+    const record = {
+      id: document.id || DocumentStore.newId(),
+      name: document.name || 'Untitled',
+      modified: this.now(),
+      document: document.tree.toDocument(document.text)
+    };
+    await this.backend.put(record);
+    return { id: record.id, name: record.name, modified: record.modified };
+  }
+  
+  async rename(id, name) {
+    const record = await this.backend.get(id);
+    if (!record) {
+      throw new Error(`Unknown document: ${id}`);
+    }
+    await this.backend.put({ ...record, name, modified: this.now() });
+  }
+  
+  async delete(id) {
+    await this.backend.delete(id);
+  }
+  
+  static newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+  }
+}
+
+// Name of the IndexedDB database, and prefix of keys in localStorage
+DocumentStore.DATABASE_NAME = 'tagged-interval-tree';
+
+/**
+ * Records of a DocumentStore in an IndexedDB object store, by id.
+ */
+class IndexedDBBackend {
+  constructor(database) {
+    this.database = database;
+  }
+  
+  // Open (or create) the database name with the IndexedDB factory indexedDB
+  static open(indexedDB, name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IndexedDBBackend.STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(new IndexedDBBackend(request.result));
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`Database ${name} is blocked by another tab`));
+    });
+  }
+  
+  getAll() {
+    return this._request('readonly', store => store.getAll());
+  }
+  
+  get(id) {
+    return this._request('readonly', store => store.get(id));
+  }
+  
+  put(record) {
+    return this._request('readwrite', store => store.put(record));
+  }
+  
+  delete(id) {
+    return this._request('readwrite', store => store.delete(id));
+  }
+  
+  // Run a request in a transaction, resolving with its result once the transaction is done
+  _request(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.database.transaction(IndexedDBBackend.STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(IndexedDBBackend.STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+IndexedDBBackend.STORE_NAME = 'documents';
+
+/**
+ * Records of a DocumentStore in a Storage like localStorage, as JSON under prefix followed by the id.
+ *
+ * Storage is synchronous, but the methods return promises like those of IndexedDBBackend. Saving
+ * fails with the error of the storage when it is full.
+ */
+class WebStorageBackend {
+  constructor(storage, prefix = '') {
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+  
+  async getAll() {
+    const records = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(this.prefix)) {
+        records.push(JSON.parse(this.storage.getItem(key)));
+      }
+    }
+    return records;
+  }
+  
+  async get(id) {
+    const json = this.storage.getItem(this.prefix + id);
+    return json === null ? null : JSON.parse(json);
+  }
+  
+  async put(record) {
+    this.storage.setItem(this.prefix + record.id, JSON.stringify(record));
+  }
+  
+  async delete(id) {
+    this.storage.removeItem(this.prefix + id);
+  }
+}
+
+/**
+ * Autosave of the open document to a DocumentStore.
+ *
+ * current() returns the open document as { id, name, text, tree }, with a null id until it is first saved
+ * (onSave(record) gets the new id). After changed(), it is saved once
+ * there were no changes for options.delay milliseconds. Until then it is kept as a draft in
+ * options.drafts (a Storage like localStorage), which is written synchronously, so changes survive
+ * a closed tab or a crash; recover() returns the drafts left by an earlier session. Drafts of documents
+ * without an id get a key of their own, so unsaved documents open in several tabs keep their drafts apart.
+ *
+ * Changes are counted from the change events of the tree, so finding whether there are unsaved changes does
+ * not serialize the document; it is serialized once for each draft, and compared with the saved document then.
+ */
+class Autosave {
+  constructor(store, current, options = {}) {
+    this.store = store;
+    this.current = current;
+    this.delay = options.delay !== undefined ? options.delay : 1000;
+    this.drafts = options.drafts || null;
+    this.now = options.now || (() => Date.now());
+    this.onSave = options.onSave || (() => {});
+    this.onError = options.onError || (() => {});
+    this.timer = null;
+    this.saved = null; // Document JSON of the last save, so unchanged documents are not saved again
+    // Key of the last draft written, as the id of a document changes when it is saved for the first time
+    this.draftKey = null;
+    // Number of changes of the tracked tree, and that number when the document was saved and when the last draft was written
+    this.tree = null;
+    this.stopTracking = null;
+    this.version = 0;
+    this.savedVersion = 0;
+    this.draftVersion = -1;
+  }
+  
+  // The open document is as saved, like right after opening it
+  markSaved() {
+    this._cancel();
+    this._track();
+    const { id, json } = this._serialize();
+    this.saved = json;
+    this.savedVersion = this.version;
+    this.discardDraft(id);
+    this._discardWrittenDraft();
+  }
+  
+  // The open document changed: keep a draft, and save after the delay; returns whether there are unsaved changes
+  // Without drafts the document is not serialized, and changes undone are only noticed when saving.
+  changed() {
+    this._track();
+    if (this.version === this.savedVersion) {
+      return false;
+    }
+    if (this.version === this.draftVersion) {
+      return true; // Nothing changed since the last draft
+    }
+    
+    if (this.drafts) {
+      const { id, name, json } = this._serialize();
+      if (json === this.saved) {
+        this._cancel(); // Changed back, like by undo
+        this.savedVersion = this.version;
+        this.discardDraft(id);
+        this._discardWrittenDraft();
+        return false;
+      }
+      
+      try {
+        const key = id ? Autosave.DRAFT_PREFIX + id : this.draftKey || `${Autosave.DRAFT_PREFIX}new-${DocumentStore.newId()}`;
+        // The document is already JSON, so it is put in as it is instead of being parsed to be written again
+        const draft = JSON.stringify({ id, name, modified: this.now() });
+        this.drafts.setItem(key, `${draft.slice(0, -1)},"document":${json}}`);
+        this.draftKey = key;
+        this.draftVersion = this.version;
+      } catch (e) {
+        this.onError(e); // Storage is full, saving may still work
+      }
+    }
+    
+    this._cancel();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => this.onError(error));
+    }, this.delay);
+    return true;
+  }
+  
+  // Whether there were changes since the document was saved, even if they were undone since
+  isDirty() {
+    this._track();
+    return this.version !== this.savedVersion;
+  }
+  
+  // Save now if there are unsaved changes; resolves with the saved { id, name, modified }, or null when there were none
+  async flush() {
+    this._cancel();
+    if (!this.isDirty()) {
+      return null;
+    }
+    
+    const document = this.current();
+    const { json } = this._serialize(document);
+    const version = this.version;
+    if (json === this.saved) {
+      this.savedVersion = version;
+      this.discardDraft(document.id);
+      this._discardWrittenDraft();
+      return null;
+    }
+    
+    const record = await this.store.save(document);
+    this.saved = json;
+    this.savedVersion = version;
+    // Changes made while saving are not saved yet, and their draft is kept
+    if (this.version === version) {
+      this.discardDraft(record.id);
+      this._discardWrittenDraft();
+    }
+    this.onSave(record);
+    return record;
+  }
+  
+  // Drafts of unsaved changes, as { key, id, name, modified, text, tree }, oldest first
+  recover() {
+    if (!this.drafts) return [];
+    
+    const drafts = [];
+    for (let i = 0; i < this.drafts.length; i++) {
+      const key = this.drafts.key(i);
+      if (!key.startsWith(Autosave.DRAFT_PREFIX)) continue;
+      
+      try {
+        const draft = JSON.parse(this.drafts.getItem(key));
+        const { text, tree } = TaggedIntervalTree.fromDocument(draft.document);
+        drafts.push({ key, id: draft.id, name: draft.name, modified: draft.modified, text, tree });
+      } catch (e) {
+        this.onError(new Error(`Unreadable draft ${key}: ${e.message}`));
+      }
+    }
+    return drafts.sort((a, b) => a.modified - b.modified);
+  }
+  
+  discardDraft(id) {
+    if (this.drafts) {
+      this.drafts.removeItem(Autosave.DRAFT_PREFIX + id);
+    }
+  }
+  
+  // Discard a draft returned by recover(), which may be of a document without an id
+  discardRecovered(draft) {
+    if (this.drafts) {
+      this.drafts.removeItem(draft.key);
+    }
+  }
+  
+  // Discard the last draft written, which has no id when the document was not saved before
+  _discardWrittenDraft() {
+    if (this.draftKey !== null) {
+      this.drafts.removeItem(this.draftKey);
+      this.draftKey = null;
+    }
+  }
+  
+  _cancel() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  // Count the change events of the tree of the open document, which is a change itself when current() returns another tree
+  _track() {
+    const { tree } = this.current();
+    if (tree === this.tree) return;
+    
+    if (this.stopTracking) {
+      this.stopTracking();
+    }
+    const count = () => {
+      this.version++;
+    };
+    const stops = TaggedIntervalTree.EVENT_TYPES.map(type => tree.on(type, count));
+    this.stopTracking = () => stops.forEach(stop => stop());
+    this.tree = tree;
+    this.version++;
+  }
+  
+  _serialize(document = this.current()) {
+    return { id: document.id, name: document.name, json: JSON.stringify(document.tree.toDocument(document.text)) };
+  }
+}
+
+// Prefix of draft keys in options.drafts
+Autosave.DRAFT_PREFIX = 'tagged-interval-tree-draft:';
+
+// Renderers turn a tree and its text into an output format. A renderer is an object with
+// render(tree, text, options), registered by format in TaggedIntervalTree.renderers and used through
+// tree.render(text, format, options). Renderers only use the query API of the tree, not its nodes.
+
+/**
+ * HTML output, as getFormattedText.
+ *
+ * By default every node of the tree is one element, so nesting follows the tree. With options.minimal,
+ * elements are built from the segments (see getElements), which needs fewer tags where tags overlap.
+ * The output is well-nested either way. Only tags with an HTML element in TaggedIntervalTree.tags are
+ * emitted, as that element with their safe attributes, and the text is escaped.
+ */
+class HTMLRenderer {
+  render(tree, text, options = {}) {
+    let result = '';
+    
+    const renderElements = (elements) => {
+      for (const element of elements) {
+        if (!element.tag) {
+          result += TaggedIntervalTree.escapeHTML(text.substring(element.start, element.end));
+          continue;
+        }
+        
+        const html = TaggedIntervalTree._htmlElementOf(element);
+        if (html) result += TaggedIntervalTree._openingHTMLTag(html, TaggedIntervalTree._htmlAttributesOf(element));
+        renderElements(element.children);
+        if (html) result += `</${html}>`;
+      }
+    };
+    
+    renderElements(TaggedIntervalTree._blockElements(tree, text, options));
+    return result;
+  }
+}
+
+/**
+ * DOM output: renders into options.container, replacing its content, and returns it.
+ *
+ * Elements are the same as for HTMLRenderer, including options.minimal, but no HTML string is
+ * built, so the text is never parsed as markup. Empty blocks get a <br>, so they keep their height
+ * and can hold a caret. offsetOf and positionAt map between DOM positions and positions in the text,
+ * for editing the container.
+ *
+ * With options.changed ([start, end] in the new text), the container holds the render of the text
+ * before a change inside those positions, like an edit or formatting of a selection. Then only the
+ * blocks around it are rendered again, so editing a long text does not render all of it.
+ */
+class DOMRenderer {
+  render(tree, text, options = {}) {
+    const { container, changed } = options;
+    if (!container) {
+      throw new Error('The dom renderer needs options.container');
+    }
+    if (changed && tree.blocks && this._update(tree, text, options)) {
+      return container;
+    }
+    
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    this._renderElements(TaggedIntervalTree._blockElements(tree, text, options), container, text);
+    return container;
+  }
+  
+  _renderElements(elements, parent, text) {
+    const document = parent.ownerDocument;
+    for (const element of elements) {
+      if (!element.tag) {
+        parent.appendChild(document.createTextNode(text.substring(element.start, element.end)));
+        continue;
+      }
+      
+      let node = parent;
+      const html = TaggedIntervalTree._htmlElementOf(element);
+      if (html) {
+        node = document.createElement(html);
+        for (const [name, value] of TaggedIntervalTree._htmlAttributesOf(element)) {
+          node.setAttribute(name, value);
+        }
+        parent.appendChild(node);
+      }
+      this._renderElements(element.children, node, text);
+      if (element.block && DOMRenderer._isBlock(node) && element.children.length === 0) {
+        node.appendChild(document.createElement('br'));
+      }
+    }
+  }
+  
+  // Render the blocks changed in options.changed again, replacing the elements of the container holding them
+  // Returns false when the container does not hold blocks, like before the first render, so all must be rendered.
+  _update(tree, text, options) {
+    const { container, changed } = options;
+    const groups = Object.values(BlockList.HTML_ELEMENTS).map(html => html.group).filter(Boolean);
+    
+    // Number of blocks in each element of the container: one for a block, or those of a group like <ul>
+    const elements = Array.from(container.childNodes);
+    const counts = [];
+    for (const element of elements) {
+      if (DOMRenderer._isBlock(element)) {
+        counts.push(1);
+      } else if (element.nodeType === element.ELEMENT_NODE && groups.includes(element.tagName.toLowerCase()) &&
+                 Array.from(element.childNodes).every(DOMRenderer._isBlock)) {
+        counts.push(element.childNodes.length);
+      } else {
+        return false;
+      }
+    }
+    
+    // Blocks after the change are the same as before it, so the changed blocks of the old render are counted from its end
+    const blocks = tree.blocks.blocks;
+    const oldCount = counts.reduce((sum, count) => sum + count, 0);
+    const first = tree.blocks._indexAt(changed[0]);
+    const last = tree.blocks._indexAt(changed[1]);
+    const oldLast = oldCount - (blocks.length - last);
+    if (oldLast < first) return false;
+    
+    // Elements holding the changed blocks, and the one on each side, as a block may join or leave a group next to it
+    let firstElement = 0;
+    let firstBlock = 0;
+    while (firstBlock + counts[firstElement] <= first) {
+      firstBlock += counts[firstElement];
+      firstElement++;
+    }
+    let lastElement = firstElement;
+    let endBlock = firstBlock + counts[firstElement];
+    while (endBlock <= oldLast) {
+      lastElement++;
+      endBlock += counts[lastElement];
+    }
+    if (firstElement > 0) {
+      firstElement--;
+      firstBlock -= counts[firstElement];
+    }
+    if (lastElement < elements.length - 1) {
+      lastElement++;
+      endBlock += counts[lastElement];
+    }
+    
+    const fragment = container.ownerDocument.createDocumentFragment();
+    const lines = [firstBlock, endBlock - 1 + blocks.length - oldCount];
+    this._renderElements(TaggedIntervalTree._blockElements(tree, text, options, lines), fragment, text);
+    container.insertBefore(fragment, elements[lastElement].nextSibling);
+    for (let i = firstElement; i <= lastElement; i++) {
+      container.removeChild(elements[i]);
+    }
+    return true;
+  }
+  
+  // Position in the text of DOM position (node, offset) in container, like a selection end
+  // Blocks are separated by the line breaks between them; elements like <br> have no text.
+  static offsetOf(container, node, offset) {
+    if (node.nodeType !== node.TEXT_NODE && node.childNodes.length > 0) {
+      if (offset < node.childNodes.length) {
+        return DOMRenderer.offsetOf(container, node.childNodes[offset], 0);
+      }
+      const last = node.childNodes[node.childNodes.length - 1];
+      return DOMRenderer.offsetOf(container, last, last.nodeType === last.TEXT_NODE ? last.length : last.childNodes.length);
+    }
+    
+    let result = null;
+    const length = DOMRenderer._walk(container, (current, position) => {
+      if (current !== node) return false;
+      result = position + (node.nodeType === node.TEXT_NODE ? offset : 0);
+      return true;
+    });
+    return result === null ? length : result;
+  }
+  
+  // DOM position { node, offset } of position in the text, in container
+  static positionAt(container, position) {
+    let result = null;
+    DOMRenderer._walk(container, (node, start) => {
+      if (node.nodeType === node.TEXT_NODE && start <= position && position <= start + node.length) {
+        result = { node, offset: position - start };
+      } else if (DOMRenderer._isBlock(node) && node.textContent === '' && start === position) {
+        result = { node, offset: 0 };
+      }
+      return result !== null;
+    });
+    return result || { node: container, offset: container.childNodes.length };
+  }
+  
+  // Text in container, with a line break between blocks
+  static textOf(container) {
+    let text = '';
+    DOMRenderer._walk(container, (node, position) => {
+      if (text.length < position) text += '\n';
+      if (node.nodeType === node.TEXT_NODE) text += node.data;
+      return false;
+    });
+    return text;
+  }
+  
+  // Visit the nodes of container in order, with their position in the text, until visit returns true
+  // Returns the length of the text.
+  static _walk(container, visit) {
+    let position = 0;
+    let blocks = 0;
+    const walk = (node) => {
+      if (node !== container && DOMRenderer._isBlock(node)) {
+        if (blocks > 0) position++; // Line break between blocks
+        blocks++;
+      }
+      if (visit(node, position)) return true;
+      if (node.nodeType === node.TEXT_NODE) {
+        position += node.length;
+        return false;
+      }
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (walk(child)) return true;
+      }
+      return false;
+    };
+    walk(container);
+    return position;
+  }
+  
+  // Element of a block, like <p> or <li>; elements grouping blocks, like <ul>, are not blocks themselves
+  static _isBlock(node) {
+    return node.nodeType === node.ELEMENT_NODE && DOMRenderer.BLOCK_TAGS.includes(node.tagName.toLowerCase());
+  }
+}
+
+// Tags of block elements
+DOMRenderer.BLOCK_TAGS = [...new Set(Object.values(BlockList.HTML_ELEMENTS).map(element => element.tag))];
+
+/**
+ * ANSI terminal output.
+ *
+ * Each segment gets the SGR codes of its tags (ANSIRenderer.STYLES), and of color and background-color
+ * attributes as 24-bit colors; safe links become OSC 8 hyperlinks. Control characters in the text are
+ * replaced, so the text can not send its own escape sequences to the terminal.
+ */
+class ANSIRenderer {
+  render(tree, text, options = {}) {
+    const [start, end] = tree.root.interval;
+    let result = ANSIRenderer._sanitize(text.substring(0, start));
+    
+    for (const segment of tree.getSegments()) {
+      const codes = [];
+      let href = null;
+      for (const tag of segment.tags) {
+        if (ANSIRenderer.STYLES[tag]) {
+          codes.push(ANSIRenderer.STYLES[tag]);
+        }
+        
+        const attributes = segment.attributes[tag] || {};
+        const color = attributes.color && ANSIRenderer._parseColor(attributes.color);
+        const background = attributes['background-color'] && ANSIRenderer._parseColor(attributes['background-color']);
+        if (color) codes.push(`38;2;${color.join(';')}`);
+        if (background) codes.push(`48;2;${background.join(';')}`);
+        
+        if (tag === 'a' && attributes.href && TaggedIntervalTree.isSafeURL(attributes.href)) {
+          href = ANSIRenderer._sanitize(attributes.href);
+        }
+      }
+      
+      let part = ANSIRenderer._sanitize(text.substring(segment.start, segment.end));
+      if (codes.length > 0) {
+        part = `\x1b[${codes.join(';')}m${part}\x1b[0m`;
+      }
+      if (href) {
+        part = `\x1b]8;;${href}\x1b\\${part}\x1b]8;;\x1b\\`;
+      }
+      result += part;
+    }
+    
+    return result + ANSIRenderer._sanitize(text.substring(end));
+  }
+  
+  // Replace control characters other than tab and line breaks
+  static _sanitize(text) {
+    return text.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f]/g, '\ufffd');
+  }
+  
+  // [red, green, blue] for #rgb, #rrggbb, rgb(r, g, b) or a name in ANSIRenderer.COLORS; null for other colors
+  static _parseColor(color) {
+    const value = color.trim().toLowerCase();
+    if (ANSIRenderer.COLORS[value]) {
+      return ANSIRenderer.COLORS[value];
+    }
+    
+    let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(value);
+    if (match) {
+      const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+      return [0, 2, 4].map(i => parseInt(hex.substring(i, i + 2), 16));
+    }
+    
+    match = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/.exec(value);
+    if (match) {
+      return match.slice(1).map(component => Math.min(255, Number(component)));
+    }
+    return null;
+  }
+}
+
+// SGR codes of tags
+ANSIRenderer.STYLES = {
+  b: '1',
+  i: '3',
+  u: '4',
+  s: '9',
+  code: '36'
+};
+
+// Named colors understood by ANSIRenderer, as [red, green, blue]
+ANSIRenderer.COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  magenta: [255, 0, 255],
+  cyan: [0, 255, 255]
+};
+
+/**
+ * Plain text with spans: { text, spans: [{ start, end, tag, attributes }] }.
+ *
+ * Each span is a continuous run of one tag with the same attributes, wherever its nodes are in the
+ * tree; attributes is only there when the tag has some. Spans are sorted by start, longest first.
+ */
+class PlainTextRenderer {
+  render(tree, text, options = {}) {
+    const spans = [];
+    const lastSpans = new Map(); // Last span of each tag
+    
+    for (const segment of tree.getSegments()) {
+      for (const tag of segment.tags) {
+        const attributes = segment.attributes[tag];
+        const last = lastSpans.get(tag);
+        if (last && last.end === segment.start && IntervalNode.sameAttributes(last.attributes, attributes)) {
+          last.end = segment.end;
+          continue;
+        }
+        
+        const span = { start: segment.start, end: segment.end, tag };
+        if (attributes) {
+          span.attributes = attributes;
+        }
+        spans.push(span);
+        lastSpans.set(tag, span);
+      }
+    }
+    
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+    return { text, spans };
+  }
+}
+
+/**
+ * Markdown output for a tree and its text.
+ *
+ * Tags are written in their Markdown form in TaggedIntervalTree.tags, like **bold**, _italic_, ~~strike~~, `code`
+ * and [link](href). Other tags allowed in HTML, like u, are written as inline HTML, which Markdown keeps as is.
+ * Markdown markup must be well-nested, so overlapping tags are split into nested runs.
+ * Emphasis is only read next to words: whitespace at its edges is left outside of it, and
+ * emphasis that Markdown would not read, like _ inside a word, is written as HTML instead.
+ */
+class MarkdownRenderer {
+  render(tree, text) {
+    // Code is literal text in Markdown, so it goes inside other tags
+    const trimmed = MarkdownRenderer._trimEmphasis(tree, text);
+    const innermost = TaggedIntervalTree.tags.types.filter(type => type.markdown === 'code').map(type => type.tag);
+    const elements = TaggedIntervalTree._textElements(trimmed, text, { minimal: true, innermost });
+    
+    const tokens = [];
+    MarkdownRenderer._addTokens(elements, text, tokens);
+    MarkdownRenderer._chooseDelimiters(tokens);
+    
+    let result = '';
+    tokens.forEach((token, index) => {
+      if (token.type === 'text') {
+        let value = MarkdownRenderer._escape(token.value, result === '' || result.endsWith('\n'));
+        // ! before a link would make it an image
+        const next = tokens[index + 1];
+        if (value.endsWith('!') && next && next.link) {
+          value = `${value.slice(0, -1)}\\!`;
+        }
+        result += value;
+      } else {
+        result += MarkdownRenderer._tokenValue(token);
+      }
+    });
+    return result;
+  }
+  
+  // Copy of tree without emphasis on whitespace at the edges of its runs, and on blank lines, which end emphasis
+  static _trimEmphasis(tree, text) {
+    const trimmed = tree.clone();
+    
+    for (const tag of Object.keys(TaggedIntervalTree.tags.markdownDelimiters())) {
+      for (const [start, end] of tree.getTagCoverage(tag, tree.root.interval).ranges) {
+        const run = text.substring(start, end);
+        const leading = /^\s*/.exec(run)[0].length;
+        const trailing = leading === run.length ? 0 : /\s*$/.exec(run)[0].length;
+        if (leading > 0) trimmed.removeTag(tag, [start, start + leading]);
+        if (trailing > 0) trimmed.removeTag(tag, [end - trailing, end]);
+        
+        const blankLine = /\s*\n[ \t]*\n\s*/g;
+        let match;
+        while ((match = blankLine.exec(run)) !== null) {
+          trimmed.removeTag(tag, [start + match.index, start + match.index + match[0].length]);
+        }
+      }
+    }
+    
+    return trimmed;
+  }
+  
+  // Flatten nested elements into text, markup and delimiter tokens; delimiters are chosen afterwards
+  static _addTokens(nodes, text, tokens) {
+    for (const node of nodes) {
+      if (!node.tag) {
+        tokens.push({ type: 'text', value: text.substring(node.start, node.end) });
+        continue;
+      }
+      
+      const { tag, attributes, children } = node;
+      const href = attributes && attributes.href;
+      const markdown = TaggedIntervalTree.tags.markdown(tag);
+      
+      if (Array.isArray(markdown)) {
+        const pair = { tag, value: null };
+        tokens.push({ type: 'delimiter', pair, opening: true });
+        MarkdownRenderer._addTokens(children, text, tokens);
+        tokens.push({ type: 'delimiter', pair, opening: false });
+      } else if (markdown === 'code' && children.every(child => !child.tag)) {
+        const content = text.substring(node.start, node.end);
+        tokens.push({ type: 'markup', value: MarkdownRenderer._codeSpan(content) });
+      } else if (markdown === 'link' && !(href && TaggedIntervalTree.isSafeURL(href))) {
+        MarkdownRenderer._addTokens(children, text, tokens); // Unsafe links are left out, keeping their text
+      } else if (markdown === 'link') {
+        const title = attributes.title ? ` "${attributes.title.replace(/["\\]/g, '\\$&')}"` : '';
+        tokens.push({ type: 'markup', value: '[', link: true });
+        MarkdownRenderer._addTokens(children, text, tokens);
+        tokens.push({ type: 'markup', value: `](${MarkdownRenderer._linkDestination(href)}${title})` });
+      } else if (TaggedIntervalTree.isAllowedHTMLTag(tag)) {
+        const html = TaggedIntervalTree.tags.htmlElement(tag);
+        tokens.push({ type: 'markup', value: TaggedIntervalTree._openingHTMLTag(html, TaggedIntervalTree.safeHTMLAttributes(tag, attributes)) });
+        MarkdownRenderer._addTokens(children, text, tokens);
+        tokens.push({ type: 'markup', value: `</${html}>` });
+      } else {
+        MarkdownRenderer._addTokens(children, text, tokens);
+      }
+    }
+  }
+  
+  // Pick for each emphasis pair a delimiter Markdown reads as opening and closing at its place, or fall back to HTML
+  // Pairs are picked in order; a pair not picked yet counts as punctuation, like any delimiter.
+  static _chooseDelimiters(tokens) {
+    const characterNextTo = (index, step) => {
+      for (let i = index + step; i >= 0 && i < tokens.length; i += step) {
+        const token = tokens[i];
+        const value = token.type === 'delimiter' && token.pair.value === null && !token.pair.html
+          ? '!' : MarkdownRenderer._tokenValue(token);
+        if (value.length > 0) {
+          return step < 0 ? value[value.length - 1] : value[0];
+        }
+      }
+      return '';
+    };
+    
+    const closingIndex = new Map();
+    tokens.forEach((token, index) => {
+      if (token.type === 'delimiter' && !token.opening) closingIndex.set(token.pair, index);
+    });
+    
+    const delimiters = TaggedIntervalTree.tags.markdownDelimiters();
+    const isBold = (pair) => delimiters[pair.tag].includes('**');
+    let boldDepth = 0;
+    tokens.forEach((token, index) => {
+      if (token.type !== 'delimiter') return;
+      if (!token.opening) {
+        if (isBold(token.pair)) boldDepth--;
+        return;
+      }
+      
+      const { pair } = token;
+      const closing = closingIndex.get(pair);
+      // A single * next to or inside ** would join their delimiter runs
+      const nearBold = boldDepth > 0 || tokens.slice(index, closing).some(other => other.type === 'delimiter' && isBold(other.pair));
+      
+      for (const delimiter of delimiters[pair.tag]) {
+        if (delimiter === '*' && nearBold) continue;
+        
+        const fits = (before, after) => before !== delimiter[0] && after !== delimiter[0];
+        const openBefore = characterNextTo(index, -1);
+        const openAfter = characterNextTo(index, 1);
+        const closeBefore = characterNextTo(closing, -1);
+        const closeAfter = characterNextTo(closing, 1);
+        if (fits(openBefore, openAfter) && fits(closeBefore, closeAfter) &&
+            MarkdownParser._canOpen(delimiter, openBefore, openAfter) &&
+            MarkdownParser._canClose(delimiter, closeBefore, closeAfter)) {
+          pair.value = delimiter;
+          break;
+        }
+      }
+      if (pair.value === null) {
+        pair.html = true;
+      }
+      
+      if (isBold(pair)) boldDepth++;
+    });
+  }
+  
+  static _tokenValue(token) {
+    if (token.type !== 'delimiter') {
+      return token.value;
+    }
+    if (token.pair.html) {
+      // Tags without an HTML element keep only their text
+      const html = TaggedIntervalTree.tags.htmlElement(token.pair.tag);
+      if (!html) return '';
+      return token.opening ? `<${html}>` : `</${html}>`;
+    }
+    return token.pair.value || '';
+  }
+  
+  // Escape characters of text that Markdown would read as markup
+  static _escape(text, atLineStart) {
+    const escaped = (atLineStart ? '\n' : '') + text
+      .replace(/[\\`*_[\]~<>]/g, '\\$&')
+      .replace(/&(?=#?[a-zA-Z0-9]+;)/g, '\\&');
+    
+    // Characters starting a block at the start of a line, like # of a heading or 1. of a list
+    return escaped
+      .replace(/(\n[ \t]*)([#+=-])/g, '$1\\$2')
+      .replace(/(\n[ \t]*\d+)([.)])/g, '$1\\$2')
+      .substring(atLineStart ? 1 : 0);
+  }
+  
+  // Code span with a fence of more backticks than any run in content, padded when content starts or ends with ` or space
+  static _codeSpan(content) {
+    const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = /^`|`$/.test(content) || /^ [\s\S]*[^ ][\s\S]* $/.test(content) ? ' ' : '';
+    return `${fence}${padding}${content}${padding}${fence}`;
+  }
+  
+  // Link destination, in <> when it has spaces or parentheses
+  static _linkDestination(href) {
+    const destination = href.replace(/\n/g, '%0A');
+    if (/[\s()<>]/.test(destination)) {
+      return `<${destination.replace(/[<>\\]/g, '\\$&')}>`;
+    }
+    return destination.replace(/\\/g, '\\\\');
+  }
+}
+
+/**
+ * Markdown input: reads inline Markdown into plain text and a tree.
+ *
+ * Reads emphasis with the Markdown delimiters of the tags in TaggedIntervalTree.tags (**bold**, __bold__, *italic*,
+ * _italic_, ~~strike~~ by default), `code`, [links](href "title"), <autolinks>, backslash escapes, entities and inline
+ * HTML elements known to fromHTML. Emphasis follows the CommonMark rules for delimiter runs, so a*b*c is emphasis
+ * while a_b_c is not.
+ * Other text is kept as written, including line breaks and markup it does not read, like # of headings.
+ */
+class MarkdownParser {
+  // Parse markdown, returning { text, tree }
+  parse(markdown) {
+    this.source = markdown;
+    this.items = []; // Text, delimiter runs, [ brackets and markers, in order; their output is the text
+    this.brackets = []; // Open [ brackets, which may start a link
+    this.openElements = []; // Open HTML elements: { element, tag, attributes, from }
+    this.marks = []; // Tags to add: { tag, attributes, from, to } between two items
+    
+    let position = 0;
+    while (position < markdown.length) {
+      position = this._parseInline(position);
+    }
+    this._processEmphasis(-1);
+    
+    // HTML elements left open last until the end of the text
+    const end = this._addMarker();
+    for (const open of this.openElements) {
+      if (open.tag) this.marks.push({ tag: open.tag, attributes: open.attributes, from: open.from, to: end });
+    }
+    
+    let text = '';
+    for (const item of this.items) {
+      item.position = text.length;
+      text += MarkdownParser._itemText(item);
+    }
+    
+    // Emphasis is inside what is left of its delimiter runs; add outer tags first, so inner attributes override them
+    const ranges = this.marks.map(mark => ({
+      tag: mark.tag,
+      attributes: mark.attributes,
+      start: mark.from.position + (mark.from.type === 'delimiter' ? mark.from.count : 0),
+      end: mark.to.position
+    }))
+      .filter(range => range.start < range.end)
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+    
+    const tree = new TaggedIntervalTree(0, text.length);
+    for (const range of ranges) {
+      tree.addTag(range.tag, [range.start, range.end], range.attributes);
+    }
+    
+    return { text: text, tree: tree };
+  }
+  
+  // Read the construct at position, returning the position after it
+  _parseInline(position) {
+    const source = this.source;
+    const character = source[position];
+    
+    const plain = this._match(/[^\\`<&*_~[\]]+/y, position);
+    if (plain) {
+      this._addText(plain[0]);
+      return position + plain[0].length;
+    }
+    
+    switch (character) {
+      case '\\': {
+        const next = source[position + 1];
+        if (next === '\n') {
+          this._addText('\n'); // Hard line break
+          return position + 2;
+        }
+        if (next !== undefined && MarkdownParser.ESCAPABLE.test(next)) {
+          this._addText(next);
+          return position + 2;
+        }
+        this._addText('\\');
+        return position + 1;
+      }
+      
+      case '`':
+        return this._parseCodeSpan(position);
+      
+      case '<':
+        return this._parseAngleBracket(position);
+      
+      case '&': {
+        const entity = this._match(MarkdownParser.ENTITY, position);
+        this._addText(entity ? TaggedIntervalTree._decodeHTMLEntities(entity[0]) : '&');
+        return position + (entity ? entity[0].length : 1);
+      }
+      
+      case '*':
+      case '_':
+      case '~': {
+        let end = position;
+        while (source[end] === character) end++;
+        
+        const run = source.substring(position, end);
+        const before = position > 0 ? source[position - 1] : '';
+        const after = end < source.length ? source[end] : '';
+        this.items.push({
+          type: 'delimiter',
+          character,
+          length: run.length,
+          count: run.length,
+          canOpen: MarkdownParser._canOpen(run, before, after),
+          canClose: MarkdownParser._canClose(run, before, after),
+          active: true
+        });
+        return end;
+      }
+      
+      case '[': {
+        const bracket = { type: 'bracket', active: true, matched: false };
+        this.items.push(bracket);
+        this.brackets.push(bracket);
+        return position + 1;
+      }
+      
+      default: // ]
+        return this._closeBracket(position);
+    }
+  }
+  
+  _parseCodeSpan(position) {
+    const source = this.source;
+    let end = position;
+    while (source[end] === '`') end++;
+    const fence = source.substring(position, end);
+    
+    // Closing fence of the same length, not part of a longer run
+    const closing = new RegExp(`(?<!\`)${fence}(?!\`)`, 'g');
+    closing.lastIndex = end;
+    const match = closing.exec(source);
+    if (!match) {
+      this._addText(fence);
+      return end;
+    }
+    
+    let content = source.substring(end, match.index);
+    if (/^ [\s\S]*[^ ][\s\S]* $/.test(content)) {
+      content = content.slice(1, -1);
+    }
+    
+    const from = this._addMarker();
+    this._addText(content);
+    this.marks.push({ tag: 'code', attributes: null, from, to: this._addMarker() });
+    return match.index + fence.length;
+  }
+  
+  // Autolink like <https://...>, HTML element or comment, or a plain <
+  _parseAngleBracket(position) {
+    const autolink = this._match(/<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y, position);
+    const email = this._match(/<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9.-]*[a-zA-Z0-9])?)>/y, position);
+    if (autolink || email) {
+      const label = (autolink || email)[1];
+      const href = autolink ? label : `mailto:${label}`;
+      const from = this._addMarker();
+      this._addText(label);
+      const to = this._addMarker();
+      if (TaggedIntervalTree.isSafeURL(href)) {
+        this.marks.push({ tag: 'a', attributes: { href }, from, to });
+      }
+      return position + (autolink || email)[0].length;
+    }
+    
+    const comment = this._match(/<!--[\s\S]*?-->/y, position);
+    if (comment) {
+      return position + comment[0].length;
+    }
+    
+    const match = this._match(/<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*>/y, position);
+    if (!match) {
+      this._addText('<');
+      return position + 1;
+    }
+    
+    const token = match[0];
+    const element = match[1].toLowerCase();
+    const isClosing = token[1] === '/';
+    const after = position + token.length;
+    
+    if (!isClosing && (element === 'script' || element === 'style')) {
+      // Content is not text; skip to the closing tag
+      const closing = new RegExp(`</${element}\\s*>`, 'ig');
+      closing.lastIndex = after;
+      const closingMatch = closing.exec(this.source);
+      return closingMatch ? closingMatch.index + closingMatch[0].length : this.source.length;
+    }
+    
+    if (element === 'br' && !isClosing) {
+      this._addText('\n');
+    } else if (!isClosing && !token.endsWith('/>')) {
+      const { tag, attributes } = TaggedIntervalTree._tagForHTMLElement(element, token);
+      this.openElements.push({ element, tag, attributes, from: this._addMarker() });
+    } else if (isClosing) {
+      // Close the innermost open element with this name, leaving misnested elements open
+      for (let i = this.openElements.length - 1; i >= 0; i--) {
+        if (this.openElements[i].element === element) {
+          const [open] = this.openElements.splice(i, 1);
+          if (open.tag) {
+            this.marks.push({ tag: open.tag, attributes: open.attributes, from: open.from, to: this._addMarker() });
+          }
+          break;
+        }
+      }
+    }
+    return after;
+  }
+  
+  // A ] makes a link with the last open [ when followed by (href "title"); otherwise both are text
+  _closeBracket(position) {
+    const opener = this.brackets.pop();
+    const link = opener && opener.active ? this._parseLinkTail(position + 1) : null;
+    if (!link) {
+      this._addText(']');
+      return position + 1;
+    }
+    
+    this._processEmphasis(this.items.indexOf(opener));
+    opener.matched = true;
+    
+    const attributes = { href: link.href };
+    if (link.title !== null) {
+      attributes.title = link.title;
+    }
+    const to = this._addMarker();
+    if (TaggedIntervalTree.isSafeURL(link.href)) {
+      this.marks.push({ tag: 'a', attributes, from: opener, to });
+    }
+    
+    // Links can not contain links
+    for (const bracket of this.brackets) {
+      bracket.active = false;
+    }
+    return link.end;
+  }
+  
+  // Read (href "title") at position, returning { href, title, end } or null
+  _parseLinkTail(position) {
+    const source = this.source;
+    if (source[position] !== '(') return null;
+    
+    let i = this._skipSpaces(position + 1);
+    let href;
+    if (source[i] === '<') {
+      const match = this._match(/<((?:\\.|[^\\<>\n])*)>/y, i);
+      if (!match) return null;
+      href = match[1];
+      i += match[0].length;
+    } else {
+      // Up to whitespace or an unbalanced )
+      const start = i;
+      let depth = 0;
+      while (i < source.length && !/[\s\u0000-\u001f]/.test(source[i])) {
+        if (source[i] === '\\' && MarkdownParser.ESCAPABLE.test(source[i + 1] || '')) {
+          i += 2;
+          continue;
+        }
+        if (source[i] === '(') {
+          depth++;
+        } else if (source[i] === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        i++;
+      }
+      if (depth !== 0) return null;
+      href = source.substring(start, i);
+    }
+    
+    let title = null;
+    const afterHref = i;
+    i = this._skipSpaces(i);
+    if (i > afterHref) {
+      const match = this._match(/"((?:\\.|[^\\"])*)"|'((?:\\.|[^\\'])*)'|\(((?:\\.|[^\\()])*)\)/y, i);
+      if (match) {
+        title = [match[1], match[2], match[3]].find(group => group !== undefined);
+        i = this._skipSpaces(i + match[0].length);
+      }
+    }
+    
+    if (source[i] !== ')') return null;
+    return {
+      href: MarkdownParser._unescape(href),
+      title: title === null ? null : MarkdownParser._unescape(title),
+      end: i + 1
+    };
+  }
+  
+  // Match emphasis delimiters above the item at bottomIndex, like CommonMark's process emphasis
+  // Each closer is matched with the nearest opener of the same character; delimiters between them become text.
+  // As in CommonMark, delimiters that can not open any more are left out of the search, and openersBottom keeps
+  // where the search failed for closers like this one, so later ones stop there and the search stays linear.
+  _processEmphasis(bottomIndex) {
+    const delimiters = this.items.filter((item, index) =>
+      index > bottomIndex && item.type === 'delimiter' && item.active);
+    // Index of the delimiter searched after each one, skipping those left out
+    const previous = delimiters.map((delimiter, index) => index - 1);
+    const openersBottom = new Map();
+    
+    for (let c = 0; c < delimiters.length; c++) {
+      const closer = delimiters[c];
+      while (closer.canClose && closer.count > 0) {
+        // Whether an opener matches only depends on these properties of the closer
+        const key = `${closer.character} ${closer.canOpen} ${closer.length % 3} ${closer.count}`;
+        const bottom = openersBottom.has(key) ? openersBottom.get(key) : -1;
+        let o = previous[c];
+        while (o > bottom && !MarkdownParser._matches(delimiters[o], closer)) {
+          o = previous[o];
+        }
+        if (o <= bottom) {
+          openersBottom.set(key, previous[c]);
+          break;
+        }
+        
+        const opener = delimiters[o];
+        const { used, tag } = MarkdownParser._emphasis(opener, closer);
+        this.marks.push({ tag, attributes: null, from: opener, to: closer });
+        
+        for (let k = previous[c]; k > o; k = previous[k]) {
+          delimiters[k].active = false;
+        }
+        opener.count -= used;
+        closer.count -= used;
+        previous[c] = opener.count > 0 ? o : previous[o];
+      }
+      if (c + 1 < delimiters.length && (closer.count === 0 || !closer.canOpen)) {
+        previous[c + 1] = previous[c];
+      }
+    }
+    
+    for (const delimiter of delimiters) {
+      delimiter.active = false;
+    }
+  }
+  
+  // Longest delimiter both runs have left that a tag is registered for, as { used, tag }, or null
+  // Runs of ~ are used whole, as in GitHub Markdown; runs of * and _ one delimiter at a time, like ** before *.
+  static _emphasis(opener, closer) {
+    const longest = closer.character === '~' ? closer.count : Math.min(opener.count, closer.count);
+    const shortest = closer.character === '~' ? longest : 1;
+    for (let used = longest; used >= shortest; used--) {
+      const tag = TaggedIntervalTree.tags.tagForDelimiter(closer.character.repeat(used));
+      if (tag !== null) return { used, tag };
+    }
+    return null;
+  }
+  
+  static _matches(opener, closer) {
+    if (!opener.active || !opener.canOpen || opener.count === 0 || opener.character !== closer.character) {
+      return false;
+    }
+    if (MarkdownParser._emphasis(opener, closer) === null) {
+      return false;
+    }
+    if (closer.character === '~') {
+      return opener.length === closer.length;
+    }
+    // Rule of 3: runs that can both open and close only match if their lengths do not add up to a multiple of 3
+    if ((opener.canClose || closer.canOpen) && (opener.length + closer.length) % 3 === 0) {
+      return opener.length % 3 === 0 && closer.length % 3 === 0;
+    }
+    return true;
+  }
+  
+  static _itemText(item) {
+    switch (item.type) {
+      case 'text':
+        return item.text;
+      case 'delimiter':
+        return item.character.repeat(item.count);
+      case 'bracket':
+        return item.matched ? '' : '[';
+      default:
+        return '';
+    }
+  }
+  
+  _addText(text) {
+    const last = this.items[this.items.length - 1];
+    if (last && last.type === 'text') {
+      last.text += text;
+    } else {
+      this.items.push({ type: 'text', text });
+    }
+  }
+  
+  // Zero-width item marking where a tag starts or ends
+  _addMarker() {
+    const marker = { type: 'marker' };
+    this.items.push(marker);
+    return marker;
+  }
+  
+  _match(stickyPattern, position) {
+    stickyPattern.lastIndex = position;
+    return stickyPattern.exec(this.source);
+  }
+  
+  // Skip spaces and tabs, with at most one line break
+  _skipSpaces(position) {
+    return position + this._match(/[ \t]*(?:\n[ \t]*)?/y, position)[0].length;
+  }
+  
+  static _unescape(string) {
+    return string.replace(/\\([!-/:-@[-`{-~])|&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g,
+      (match, escaped) => escaped !== undefined ? escaped : TaggedIntervalTree._decodeHTMLEntities(match));
+  }
+  
+  static _isWhitespace(character) {
+    return character === '' || /\s/.test(character);
+  }
+  
+  static _isPunctuation(character) {
+    return /[\p{P}\p{S}]/u.test(character);
+  }
+  
+  // CommonMark flanking rules: a delimiter run opens when followed by a word, or by punctuation after
+  // whitespace or punctuation, and closes the other way round; _ may not open or close inside a word.
+  static _canOpen(run, before, after) {
+    const left = MarkdownParser._leftFlanking(before, after);
+    return left && (run[0] !== '_' || !MarkdownParser._leftFlanking(after, before) || MarkdownParser._isPunctuation(before));
+  }
+  
+  static _canClose(run, before, after) {
+    const right = MarkdownParser._leftFlanking(after, before);
+    return right && (run[0] !== '_' || !MarkdownParser._leftFlanking(before, after) || MarkdownParser._isPunctuation(after));
+  }
+  
+  // Left-flanking when followed by a word, or by punctuation after whitespace or punctuation; right-flanking is
+  // the same with before and after swapped
+  static _leftFlanking(before, after) {
+    return !MarkdownParser._isWhitespace(after) &&
+      (!MarkdownParser._isPunctuation(after) || MarkdownParser._isWhitespace(before) || MarkdownParser._isPunctuation(before));
+  }
+}
+
+// Characters a backslash escapes (ASCII punctuation)
+MarkdownParser.ESCAPABLE = /[!-/:-@[-`{-~]/;
+
+// Entity like &amp; or &#169;
+MarkdownParser.ENTITY = /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/y;
+
+// Renderers of TaggedIntervalTree.render, by format; more can be added with TaggedIntervalTree.registerRenderer
+TaggedIntervalTree.renderers = {
+  html: new HTMLRenderer(),
+  dom: new DOMRenderer(),
+  ansi: new ANSIRenderer(),
+  plain: new PlainTextRenderer(),
+  markdown: new MarkdownRenderer()
+};
+
+// In a browser <script> the classes above are globals; in Node they are exported as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IntervalNode,
+    TaggedIntervalTree,
+    BlockList,
+    AnnotationList,
+    EditHistory,
+    CommandRegistry,
+    TagRegistry,
+    Operation,
+    CollaborationServer,
+    CollaborationClient,
+    DocumentStore,
+    IndexedDBBackend,
+    WebStorageBackend,
+    Autosave,
+    HTMLRenderer,
+    DOMRenderer,
+    ANSIRenderer,
+    PlainTextRenderer,
+    MarkdownRenderer,
+    MarkdownParser
+  };
 }
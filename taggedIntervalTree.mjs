@@ -0,0 +1,27 @@
+// ES module entry point for Tagged Interval Tree
+// The classes live in taggedIntervalTree.js, which is a CommonJS module in Node and a plain script in browsers.
+
+import tree from './taggedIntervalTree.js';
+
+export const {
+  IntervalNode,
+  TaggedIntervalTree,
+  BlockList,
+  AnnotationList,
+  EditHistory,
+  CommandRegistry,
+  TagRegistry,
+  Operation,
+  CollaborationServer,
+  CollaborationClient,
+  DocumentStore,
+  IndexedDBBackend,
+  WebStorageBackend,
+  Autosave,
+  HTMLRenderer,
+  DOMRenderer,
+  ANSIRenderer,
+  PlainTextRenderer,
+  MarkdownRenderer,
+  MarkdownParser
+} = tree;